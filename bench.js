@@ -0,0 +1,60 @@
+/**
+ * FIMO throughput benchmark for memesuite-lite.js
+ *
+ * Scans a random multi-megabase sequence with planted sites and reports
+ * megabases per second, for fimo() and for fimoAsync() on workers.
+ * Usage: node bench.js [megabases] (default: 4)
+ */
+
+const MemeSuiteLite = require('./memesuite-lite.js');
+
+async function runBenchmark() {
+    const msl = new MemeSuiteLite();
+    const megabases = process.argv[2] !== undefined ? Number(process.argv[2]) : 4;
+    if (!(megabases > 0)) {
+        throw new Error(`Benchmark size must be a positive number of megabases, got "${process.argv[2]}"`);
+    }
+
+    let seed = 42;
+    const random = () => {
+        seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+        return seed / 4294967296;
+    };
+    const fromConsensus = consensus => ['A', 'C', 'G', 'T'].map(letter => consensus.split('').map(char => char === letter ? 0.85 : 0.05));
+    const motifs = { CREB: fromConsensus('TGACGTCA'), SP1: fromConsensus('GGGGCGGGGC') };
+
+    const length = Math.round(megabases * 1e6);
+    const bases = new Array(length);
+    for (let i = 0; i < length; i++) {
+        bases[i] = 'ACGT'[Math.floor(random() * 4)];
+    }
+    const planted = [];
+    for (let pos = 1000; pos + 8 <= length; pos += 80000) {
+        'TGACGTCA'.split('').forEach((char, k) => { bases[pos + k] = char; });
+        planted.push(pos);
+    }
+    const genome = [{ name: 'chrBench', sequence: bases.join('') }];
+
+    const report = (label, seconds, results) => {
+        const found = new Set(results[0].hits.map(hit => hit.start));
+        const missed = planted.filter(pos => !found.has(pos));
+        if (missed.length > 0) {
+            throw new Error(`${label} missed ${missed.length} of ${planted.length} planted sites`);
+        }
+        console.log(`${label}: ${megabases} Mb with 2 motifs on both strands in ${seconds.toFixed(2)} s ` +
+            `(${(megabases / seconds).toFixed(1)} Mb/s)`);
+    };
+
+    let startTime = Date.now();
+    const syncResults = msl.fimo(motifs, genome, { threshold: 1e-4 });
+    report('fimo', Math.max((Date.now() - startTime) / 1000, 1e-3), syncResults);
+
+    startTime = Date.now();
+    const asyncResults = await msl.fimoAsync(motifs, genome, { threshold: 1e-4 });
+    report('fimoAsync', Math.max((Date.now() - startTime) / 1000, 1e-3), asyncResults);
+}
+
+runBenchmark().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line interface with the MEME suite's fimo and tomtom commands, so
+ * shell pipelines can use memesuite-lite in place of the C tools:
+ *
+ *   memesuite-lite fimo [options] <motif file> <sequence file>
+ *   memesuite-lite tomtom [options] <query file> <target file>+
+ *
+ * Options take one or two leading dashes, as in the MEME suite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemeSuiteLite = require('../memesuite-lite.js');
+
+const USAGE = `Usage:
+  memesuite-lite fimo [options] <motif file> <sequence file>
+  memesuite-lite tomtom [options] <query file> <target file>+
+
+fimo options:
+  --thresh <p>        p-value threshold for reporting sites (default: 1e-4)
+  --norc              scan the given strand only
+  --bgfile <file>     background: a background file (a fasta-get-markov file of any
+                      order), --motif-- (the motif file's background) or --uniform--
+                      (default: --motif-- when the motif file has one, otherwise uniform)
+  --motif <id>        scan only this motif (repeatable)
+  --max-strand        report only the better strand at each position
+  --max-stored-scores <n>
+                      keep at most this many hits, the best by p-value (default: 100000)
+  --text              write fimo.tsv to standard output
+  --oc <dir>          output directory, overwritten (default: fimo_out)
+  --o <dir>           output directory, which must not exist
+  --verbosity <n>     1 prints only errors on standard error, 2 or more also a summary
+                      of the run (default: 1)
+
+tomtom options:
+  -dist <metric>      allr, ed, kullback, pearson or sandelin (default: pearson)
+  -min-overlap <n>    minimum number of overlapping columns (default: 1)
+  -incomplete-scores  score only the aligned columns, not unaligned query columns too
+  -thresh <q>         q-value threshold for reporting matches (default: 0.5)
+  -evalue             apply -thresh to E-values instead
+  -m <id>             compare only this query motif (repeatable)
+  -norc               do not compare reverse complements
+  -bgfile <file>      background for allr: a background file, --motif-- or --uniform--
+                      (default: uniform)
+  -text               write tomtom.tsv to standard output
+  -oc <dir>           output directory, overwritten (default: tomtom_out)
+  -o <dir>            output directory, which must not exist
+  -verbosity <n>      1 prints only errors on standard error, 2 or more also a summary
+                      of the run (default: 1)
+
+Sequence and motif files may be '-' for standard input.`;
+
+const FIMO_OPTIONS = {
+    thresh: 'value',
+    norc: 'flag',
+    bgfile: 'value',
+    motif: 'list',
+    'max-strand': 'flag',
+    'max-stored-scores': 'value',
+    text: 'flag',
+    oc: 'value',
+    o: 'value',
+    verbosity: 'value'
+};
+
+const TOMTOM_OPTIONS = {
+    dist: 'value',
+    'min-overlap': 'value',
+    'incomplete-scores': 'flag',
+    thresh: 'value',
+    evalue: 'flag',
+    m: 'list',
+    norc: 'flag',
+    bgfile: 'value',
+    text: 'flag',
+    oc: 'value',
+    o: 'value',
+    verbosity: 'value'
+};
+
+/**
+ * Split arguments into options and positional arguments. A value option
+ * takes the next argument whatever it looks like, as in "--bgfile --motif--".
+ */
+function parseArgs(args, spec, command) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            positional.push(arg);
+            continue;
+        }
+
+        const name = arg.replace(/^--?/, '');
+        const kind = spec[name];
+        if (!kind) {
+            throw new Error(`${command}: unknown option ${arg}`);
+        }
+        if (kind === 'flag') {
+            options[name] = true;
+            continue;
+        }
+        if (i + 1 >= args.length) {
+            throw new Error(`${command}: option ${arg} needs a value`);
+        }
+        const value = args[++i];
+        if (kind === 'list') {
+            options[name] = (options[name] || []).concat(value);
+        } else {
+            options[name] = value;
+        }
+    }
+    return { options, positional };
+}
+
+function parseNumber(value, option, integer = false, minimum = -Infinity) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < minimum) {
+        const kind = integer ? 'an integer' : 'a number';
+        throw new Error(`${option} needs ${kind}${minimum > -Infinity ? ` >= ${minimum}` : ''}, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * The MEME suite's --verbosity: 1 keeps standard error to errors, higher
+ * levels add progress messages
+ */
+function parseVerbosity(options, option) {
+    return options.verbosity !== undefined ? parseNumber(options.verbosity, option, true, 1) : 1;
+}
+
+function readInput(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Read a motif file of any supported format as a MemeFile-like object, so
+ * motif names and the alphabet survive
+ */
+function readMotifFile(msl, file) {
+    const content = readInput(file);
+    const format = msl.detectMotifFormat(content);
+    if (format === 'meme') {
+        return msl.readMeme(content, null, { metadata: true });
+    }
+    const motifs = Object.entries(msl.readMotifs(content, format))
+        .map(([id, pwm]) => ({ id, altName: null, pwm, nsites: null, evalue: null, url: null, logOdds: null }));
+    return { version: null, alphabet: msl.resolveAlphabet('DNA'), strands: null, background: null, motifs };
+}
+
+/**
+ * Keep the motifs named by a repeatable option, failing on unknown names
+ */
+function selectMotifs(memeFile, ids, option) {
+    if (!ids) {
+        return memeFile;
+    }
+    for (const id of ids) {
+        if (!memeFile.motifs.some(motif => motif.id === id)) {
+            throw new Error(`${option}: no motif ${id}`);
+        }
+    }
+    return { ...memeFile, motifs: memeFile.motifs.filter(motif => ids.includes(motif.id)) };
+}
+
+function resolveBgfile(msl, bgfile, memeFile, fallback) {
+    if (bgfile === undefined) {
+        return fallback;
+    }
+    if (bgfile === '--uniform--') {
+        return 'uniform';
+    }
+    if (bgfile === '--motif--') {
+        if (!memeFile.background) {
+            throw new Error('--bgfile --motif--: the motif file has no background frequencies');
+        }
+        return memeFile.background.frequencies;
+    }
+    return msl.readBackground(readInput(bgfile), memeFile.alphabet);
+}
+
+/**
+ * Write files into an output directory: --oc replaces its files, --o
+ * refuses to touch an existing directory
+ */
+function writeOutput(options, defaultDir, files) {
+    const dir = options.o || options.oc || defaultDir;
+    if (options.o && fs.existsSync(dir)) {
+        throw new Error(`output directory ${dir} already exists; use --oc to overwrite it`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+}
+
+function fimoCommand(args) {
+    const { options, positional } = parseArgs(args, FIMO_OPTIONS, 'fimo');
+    if (positional.length !== 2) {
+        throw new Error('fimo needs a motif file and a sequence file');
+    }
+    const verbosity = parseVerbosity(options, '--verbosity');
+
+    const msl = new MemeSuiteLite();
+    const motifs = selectMotifs(readMotifFile(msl, positional[0]), options.motif, '--motif');
+    const sequences = msl.readFasta(readInput(positional[1]));
+    const results = msl.fimo(motifs, sequences, {
+        threshold: options.thresh !== undefined ? parseNumber(options.thresh, '--thresh') : 0.0001,
+        reverseComplement: options.norc ? false : null,
+        background: resolveBgfile(msl, options.bgfile, motifs,
+            motifs.background ? motifs.background.frequencies : 'uniform'),
+        bestStrand: Boolean(options['max-strand']),
+        maxStoredScores: options['max-stored-scores'] !== undefined
+            ? parseNumber(options['max-stored-scores'], '--max-stored-scores', true, 1) : 100000
+    });
+    if (verbosity >= 2) {
+        const hits = results.reduce((total, result) => total + result.hits.length, 0);
+        console.error(`fimo: scanned ${sequences.length} sequences with ${motifs.motifs.length} motifs, ${hits} hits`);
+    }
+
+    if (options.text) {
+        process.stdout.write(msl.writeFimoTsv(results));
+    } else {
+        writeOutput(options, 'fimo_out', {
+            'fimo.tsv': msl.writeFimoTsv(results),
+            'fimo.gff': msl.writeFimoGff(results)
+        });
+    }
+}
+
+function tomtomCommand(args) {
+    const { options, positional } = parseArgs(args, TOMTOM_OPTIONS, 'tomtom');
+    if (positional.length < 2) {
+        throw new Error('tomtom needs a query motif file and at least one target motif file');
+    }
+    const verbosity = parseVerbosity(options, '-verbosity');
+
+    const metrics = { allr: 'allr', ed: 'euclidean', kullback: 'kullback', pearson: 'pearson', sandelin: 'sandelin' };
+    const dist = options.dist || 'pearson';
+    if (!metrics[dist]) {
+        throw new Error(`-dist ${dist} is not supported; use one of ${Object.keys(metrics).join(', ')}`);
+    }
+
+    const msl = new MemeSuiteLite();
+    const queries = selectMotifs(readMotifFile(msl, positional[0]), options.m, '-m');
+    const targetFiles = positional.slice(1).map(file => readMotifFile(msl, file));
+    const targets = { ...targetFiles[0], motifs: [].concat(...targetFiles.map(file => file.motifs)) };
+
+    const results = msl.tomtom(queries.motifs.map(motif => motif.pwm), targets.motifs.map(motif => motif.pwm), {
+        metric: metrics[dist],
+        minOverlap: options['min-overlap'] !== undefined ? parseNumber(options['min-overlap'], '-min-overlap', true, 1) : 1,
+        scoring: options['incomplete-scores'] ? 'incomplete' : 'complete',
+        reverseComplement: options.norc ? false : null,
+        alphabet: queries.alphabet,
+        background: resolveBgfile(msl, options.bgfile, queries, null)
+    });
+    const tsv = msl.writeTomtomTsv(results, queries, targets, {
+        thresh: options.thresh !== undefined ? parseNumber(options.thresh, '-thresh') : 0.5,
+        evalue: Boolean(options.evalue),
+        alphabet: queries.alphabet
+    });
+    if (verbosity >= 2) {
+        console.error(`tomtom: compared ${queries.motifs.length} queries with ${targets.motifs.length} targets`);
+    }
+
+    if (options.text) {
+        process.stdout.write(tsv);
+    } else {
+        writeOutput(options, 'tomtom_out', { 'tomtom.tsv': tsv });
+    }
+}
+
+function main(argv) {
+    const [command, ...args] = argv;
+    if (!command || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return 0;
+    }
+    if (command === '--version') {
+        console.log(require('../package.json').version);
+        return 0;
+    }
+
+    try {
+        if (command === 'fimo') {
+            fimoCommand(args);
+        } else if (command === 'tomtom') {
+            tomtomCommand(args);
+        } else {
+            throw new Error(`unknown command ${command}`);
+        }
+        return 0;
+    } catch (error) {
+        console.error(`memesuite-lite: ${error.message}`);
+        if (!error.lineNumber && /unknown|needs/.test(error.message)) {
+            console.error(`\n${USAGE}`);
+        }
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
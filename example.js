@@ -47,10 +47,9 @@ URL BLANK
 
 MOTIF ANOTHER_TF
 letter-probability matrix: alength= 4 w= 3 nsites= 1 E= 0
-0.9 0.0 0.1
-0.0 0.9 0.0
-0.05 0.05 0.8
-0.05 0.05 0.1
+0.9 0.0 0.05 0.05
+0.0 0.9 0.05 0.05
+0.1 0.0 0.8 0.1
 URL BLANK
 `;
 
@@ -22,11 +22,28 @@ class MemeSuiteLite {
     /**
      * Convert a string sequence to one-hot encoding
      * @param {string} sequence - DNA sequence string
-     * @param {Array<string>} alphabet - Alphabet characters ['A', 'C', 'G', 'T']
-     * @param {Array<string>} ignore - Characters to ignore ['N']
+     * @param {Array<string>|string|Object} alphabet - Alphabet characters ['A', 'C', 'G', 'T'],
+     *   or an alphabet name/object whose aliases and ambiguous symbols are then accepted
+     * @param {Array<string>} ignore - Characters to ignore ['N'] (character arrays only)
      * @returns {Array<Array<number>>} - One-hot encoded matrix [alphabet_size x sequence_length]
      */
     oneHotEncode(sequence, alphabet = ['A', 'C', 'G', 'T'], ignore = ['N']) {
+        if (!Array.isArray(alphabet)) {
+            const alpha = this.resolveAlphabet(alphabet);
+            const index = this._symbolIndex(alpha);
+            const oneHot = alpha.symbols.map(() => Array(sequence.length).fill(0));
+            for (let i = 0; i < sequence.length; i++) {
+                const idx = index.get(sequence[i]);
+                if (idx === undefined) {
+                    throw new Error(`Character ${sequence[i]} not in alphabet ${alpha.name}`);
+                }
+                if (idx >= 0) {
+                    oneHot[idx][i] = 1;
+                }
+            }
+            return oneHot;
+        }
+
         // Validate inputs
         for (let char of ignore) {
             if (alphabet.includes(char)) {
@@ -60,14 +77,44 @@ class MemeSuiteLite {
         return oneHot;
     }
 
+    /**
+     * Encode a sequence as letter indices in a Uint8Array, the form FIMO scans.
+     * Core symbols (and their aliases) get their row index; ambiguous symbols
+     * such as N get the alphabet size.
+     * @param {string} sequence - Sequence string
+     * @param {Array<string>|string|Object} alphabet - Alphabet characters, name or object (default: DNA)
+     * @returns {Uint8Array} - Letter indices [sequence_length]
+     */
+    encodeSequence(sequence, alphabet = 'DNA') {
+        const alpha = this.resolveAlphabet(alphabet);
+        const table = new Uint8Array(256).fill(255);
+        for (const [sym, idx] of this._symbolIndex(alpha)) {
+            table[sym.charCodeAt(0)] = idx >= 0 ? idx : alpha.symbols.length;
+        }
+
+        const codes = new Uint8Array(sequence.length);
+        for (let i = 0; i < sequence.length; i++) {
+            const charCode = sequence.charCodeAt(i);
+            const code = charCode < 256 ? table[charCode] : 255;
+            if (code === 255) {
+                throw new Error(`Character ${sequence[i]} not in alphabet ${alpha.name}`);
+            }
+            codes[i] = code;
+        }
+        return codes;
+    }
+
     /**
      * Convert PWM/one-hot encoding to character sequence
      * @param {Array<Array<number>>} pwm - Position weight matrix [alphabet_size x sequence_length]
-     * @param {Array<string>} alphabet - Alphabet characters
+     * @param {Array<string>|string|Object} alphabet - Alphabet characters, or an alphabet name/object
      * @param {boolean} force - Force sequence even with ties
      * @returns {string} - Character sequence
      */
     characters(pwm, alphabet = ['A', 'C', 'G', 'T'], force = false) {
+        if (!Array.isArray(alphabet)) {
+            alphabet = this.resolveAlphabet(alphabet).symbols;
+        }
         if (pwm.length !== alphabet.length) {
             throw new Error('PWM alphabet size must match provided alphabet');
         }
@@ -101,509 +148,5249 @@ class MemeSuiteLite {
         return result.join('');
     }
 
-    // =====================================================
-    // MEME FILE I/O
-    // =====================================================
-
     /**
-     * Read MEME formatted file
-     * @param {string} fileContent - Content of MEME file
-     * @param {number} maxMotifs - Maximum number of motifs to read
-     * @returns {Object} - Dictionary of motif names to PWMs
+     * Shuffle a sequence while preserving its k-mer counts, like MEME's
+     * fasta-shuffle-letters: a random Eulerian path through the (k-1)-mer
+     * graph (Altschul and Erickson 1985). The first and last (k-1)-mers stay
+     * in place. The same seed always gives the same shuffle.
+     * @param {string|Array<Array<number>>} sequence - Sequence string, or a one-hot
+     *   matrix [alphabet_size x sequence_length] as from oneHotEncode
+     * @param {Object} options - Options
+     * @param {number} options.k - Size of the k-mers to preserve; 1 shuffles letters (default: 2)
+     * @param {number} options.seed - Random seed (default: 1)
+     * @returns {string|Array<Array<number>>} - Shuffled sequence in the input's form
      */
-    readMeme(fileContent, maxMotifs = null) {
-        const lines = fileContent.split('\n').map(line => line.trim());
-        const motifs = {};
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            
-            // Look for motif definition
-            if (line.startsWith('MOTIF ')) {
-                const motifName = line.replace('MOTIF ', '').trim();
-                
-                // Find the letter-probability matrix line
-                let matrixLine = -1;
-                for (let j = i + 1; j < Math.min(i + 10, lines.length); j++) {
-                    if (lines[j].startsWith('letter-probability matrix:')) {
-                        matrixLine = j;
-                        break;
-                    }
-                }
-                
-                if (matrixLine !== -1) {
-                    const match = lines[matrixLine].match(/w=\s*(\d+)/);
-                    if (match) {
-                        const width = parseInt(match[1]);
-                        const pwmRows = [];
-                        
-                        // Read PWM data
-                        for (let j = matrixLine + 1; j < lines.length && pwmRows.length < width; j++) {
-                            const values = lines[j].split(/\s+/).map(parseFloat).filter(x => !isNaN(x));
-                            if (values.length === 4) {
-                                pwmRows.push(values);
-                            }
-                        }
-                        
-                        // If we have the right number of rows, create the motif
-                        if (pwmRows.length === width) {
-                            // Transpose to get [4 x width] format
-                            const pwm = Array(4).fill().map(() => Array(width).fill(0));
-                            for (let pos = 0; pos < width; pos++) {
-                                for (let base = 0; base < 4; base++) {
-                                    pwm[base][pos] = pwmRows[pos][base];
-                                }
-                            }
-                            
-                            motifs[motifName] = pwm;
-                            
-                            if (maxMotifs && Object.keys(motifs).length >= maxMotifs) {
-                                break;
-                            }
-                        }
-                    }
-                }
-            }
+    shuffleSequence(sequence, options = {}) {
+        const { k = 2, seed = 1 } = options;
+        const random = this._seededRandom(seed);
+
+        if (typeof sequence === 'string') {
+            return this._shuffleTokens(sequence.split(''), k, random).join('');
         }
 
-        return motifs;
+        // One-hot columns become row indices, all-zero columns (e.g. N) -1
+        const length = sequence[0].length;
+        const tokens = [];
+        for (let pos = 0; pos < length; pos++) {
+            tokens.push(sequence.findIndex(row => row[pos] === 1));
+        }
+        const shuffled = this._shuffleTokens(tokens, k, random);
+        return sequence.map((_, char) => shuffled.map(token => (token === char ? 1 : 0)));
     }
 
     /**
-     * Write MEME formatted file
-     * @param {Object} motifs - Dictionary of motif names to PWMs
-     * @returns {string} - MEME file content
+     * k-mer preserving shuffle of an array of letters
+     * @private
      */
-    writeMeme(motifs) {
-        let content = "MEME version 4\n\n";
-        content += "ALPHABET= ACGT\n\n";
-        content += "strands: + -\n\n";
-        content += "Background letter frequencies\n";
-        content += "A 0.25 C 0.25 G 0.25 T 0.25\n\n";
+    _shuffleTokens(tokens, k, random) {
+        const shuffle = array => {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        };
 
-        for (const [name, pwm] of Object.entries(motifs)) {
-            content += `MOTIF ${name}\n`;
-            content += `letter-probability matrix: alength= 4 w= ${pwm[0].length} nsites= 1 E= 0\n`;
-            
-            for (let pos = 0; pos < pwm[0].length; pos++) {
-                const row = [pwm[0][pos], pwm[1][pos], pwm[2][pos], pwm[3][pos]];
-                content += row.join(' ') + '\n';
+        if (k <= 1) {
+            return shuffle(tokens.slice());
+        }
+        if (tokens.length <= k) {
+            return tokens.slice();
+        }
+
+        // Vertices are (k-1)-mers; every k-mer is an edge between its prefix and suffix
+        const vertexIds = new Map();
+        const lastTokens = [];
+        const edges = [];
+        const vertexAt = pos => {
+            const key = tokens.slice(pos, pos + k - 1).join(',');
+            if (!vertexIds.has(key)) {
+                vertexIds.set(key, lastTokens.length);
+                lastTokens.push(tokens[pos + k - 2]);
+                edges.push([]);
             }
-            
-            content += "URL BLANK\n\n";
+            return vertexIds.get(key);
+        };
+        const start = vertexAt(0);
+        let previous = start;
+        for (let pos = 1; pos + k - 1 <= tokens.length; pos++) {
+            const vertex = vertexAt(pos);
+            edges[previous].push(vertex);
+            previous = vertex;
         }
+        const end = previous;
 
-        return content;
+        // Random arborescence of last exits towards the end vertex (Wilson's algorithm)
+        const nVertices = lastTokens.length;
+        const inTree = new Uint8Array(nVertices);
+        const lastEdge = new Int32Array(nVertices).fill(-1);
+        inTree[end] = 1;
+        for (let vertex = 0; vertex < nVertices; vertex++) {
+            for (let u = vertex; !inTree[u]; u = edges[u][lastEdge[u]]) {
+                lastEdge[u] = Math.floor(random() * edges[u].length);
+            }
+            for (let u = vertex; !inTree[u]; u = edges[u][lastEdge[u]]) {
+                inTree[u] = 1;
+            }
+        }
+
+        // Shuffle every vertex's exits, keeping its last exit last
+        for (let vertex = 0; vertex < nVertices; vertex++) {
+            if (vertex === end) {
+                shuffle(edges[vertex]);
+            } else {
+                const [last] = edges[vertex].splice(lastEdge[vertex], 1);
+                shuffle(edges[vertex]).push(last);
+            }
+        }
+
+        const result = tokens.slice(0, k - 1);
+        const next = new Int32Array(nVertices);
+        for (let vertex = start, steps = tokens.length - k + 1; steps > 0; steps--) {
+            vertex = edges[vertex][next[vertex]++];
+            result.push(lastTokens[vertex]);
+        }
+        return result;
+    }
+
+    /**
+     * Seeded uniform random numbers in [0, 1) (mulberry32)
+     * @private
+     */
+    _seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 
     // =====================================================
-    // MATHEMATICAL UTILITIES
+    // ALPHABETS
     // =====================================================
 
     /**
-     * Numerically stable log addition in base 2
-     * @param {number} x - First log value
-     * @param {number} y - Second log value
-     * @returns {number} - log2(2^x + 2^y)
+     * Turn an alphabet specification into an alphabet object
+     * @param {string|Array<string>|Object} alphabet - 'DNA', 'RNA' or 'protein', the core
+     *   symbols as an array or string ('ACGT'), or an alphabet object (returned unchanged)
+     * @returns {Object} - Alphabet {name, like, symbols, complements, aliases, ambiguous,
+     *   colors, caseSensitive, standard, definition}; colors maps core symbols to the
+     *   RRGGBB colours of the definition
      */
-    logAddExp2(x, y) {
-        if (x === -Infinity && y === -Infinity) {
-            return -Infinity;
+    resolveAlphabet(alphabet = 'DNA') {
+        if (alphabet && typeof alphabet === 'object' && !Array.isArray(alphabet)) {
+            return alphabet;
         }
-        if (x === Infinity || y === Infinity) {
-            return Infinity;
+
+        const definitions = MemeSuiteLite.ALPHABET_DEFINITIONS;
+        if (typeof alphabet === 'string') {
+            const key = Object.keys(definitions).find(name => name.toLowerCase() === alphabet.toLowerCase());
+            if (key) {
+                return { ...this.readAlphabet(definitions[key]), standard: true };
+            }
+            alphabet = alphabet.split('');
+        }
+        if (!Array.isArray(alphabet) || alphabet.length === 0) {
+            throw new Error(`Unknown alphabet: ${alphabet}`);
         }
 
-        const vmax = Math.max(x, y);
-        const vmin = Math.min(x, y);
-        return vmax + Math.log2(Math.pow(2, vmin - vmax) + 1);
+        // An array of symbols is one of the standard alphabets or a plain custom one
+        const letters = alphabet.join('');
+        for (const key of Object.keys(definitions)) {
+            const standard = this.resolveAlphabet(key);
+            if (standard.symbols.join('') === letters.toUpperCase()) {
+                return standard;
+            }
+        }
+
+        return {
+            name: letters,
+            like: null,
+            symbols: alphabet.slice(),
+            complements: null,
+            aliases: {},
+            ambiguous: { N: letters },
+            colors: {},
+            caseSensitive: false,
+            standard: false,
+            definition: null
+        };
     }
 
     /**
-     * Calculate binned median approximation
-     * @param {Array<number>} values - Array of values
-     * @param {number} minVal - Minimum value
-     * @param {number} maxVal - Maximum value
-     * @param {Array<number>} counts - Count weights
-     * @param {number} nBins - Number of bins
-     * @returns {number} - Approximate median
+     * Read a MEME version 5 alphabet definition (ALPHABET ... END ALPHABET)
+     * @param {string} fileContent - Alphabet definition text
+     * @returns {Object} - Alphabet object, see resolveAlphabet
      */
-    binnedMedian(values, minVal, maxVal, counts, nBins = 1000) {
-        const bins = Array(nBins).fill().map(() => [0, 0]); // [count, sum]
-        let totalWeight = 0;
-        const range = maxVal - minVal;
-
-        // Handle case where all values are the same
-        if (range === 0) {
-            return minVal;
+    readAlphabet(fileContent) {
+        const lines = fileContent.split(/\r?\n/);
+        const start = lines.findIndex(line => line.trim().startsWith('ALPHABET'));
+        if (start === -1) {
+            throw new Error('Alphabet definition has no ALPHABET line');
         }
+        return this._parseAlphabetLines(lines.slice(start), start + 1);
+    }
 
-        for (let i = 0; i < values.length; i++) {
-            const binIdx = Math.min(Math.floor((values[i] - minVal) / range * (nBins - 1)), nBins - 1);
-            bins[binIdx][0] += counts[i];
-            bins[binIdx][1] += values[i] * counts[i];
-            totalWeight += counts[i];
+    /**
+     * Write an alphabet as a MEME version 5 alphabet definition
+     * @param {Object|string} alphabet - Alphabet object or name
+     * @returns {string} - Alphabet definition text
+     */
+    writeAlphabet(alphabet) {
+        const alpha = this.resolveAlphabet(alphabet);
+        if (alpha.definition) {
+            return alpha.definition.join('\n') + '\n';
         }
 
-        const halfway = totalWeight / 2;
-        let cumCount = 0;
-
-        for (let i = 0; i < nBins; i++) {
-            cumCount += bins[i][0];
-            if (cumCount >= halfway) {
-                return bins[i][0] > 0 ? bins[i][1] / bins[i][0] : minVal;
-            }
+        let content = 'ALPHABET' + (alpha.name ? ` "${alpha.name}"` : '') + (alpha.like ? ` ${alpha.like}-LIKE` : '') + '\n';
+        const colors = alpha.colors || {};
+        const symbol = sym => colors[sym] ? `${sym} ${colors[sym]}` : sym;
+        const written = new Set();
+        for (const sym of alpha.symbols) {
+            if (written.has(sym)) continue;
+            const complement = alpha.complements ? alpha.complements[sym] : null;
+            content += complement && complement !== sym ? `${symbol(sym)} ~ ${symbol(complement)}\n` : `${symbol(sym)}\n`;
+            written.add(sym);
+            written.add(complement);
         }
-
-        return maxVal;
+        for (const [sym, target] of Object.entries(alpha.aliases)) {
+            content += `${sym} = ${target}\n`;
+        }
+        for (const [sym, targets] of Object.entries(alpha.ambiguous)) {
+            content += `${sym} = ${targets}\n`;
+        }
+        return content + 'END ALPHABET\n';
     }
 
-    // =====================================================
-    // FIMO ALGORITHM
-    // =====================================================
-
     /**
-     * Calculate PWM to p-value mapping using dynamic programming
-     * @param {Array<Array<number>>} logPwm - Log PWM matrix
-     * @param {number} binSize - Score discretization bin size
-     * @returns {Object} - {smallest: offset, logPdf: p-value array}
+     * Parse alphabet definition lines; firstLine is the line number of lines[0]
+     * @private
      */
-    pwmToMapping(logPwm, binSize) {
-        const [numChars, length] = [logPwm.length, logPwm[0].length];
-        const logBg = Math.log2(0.25);
+    _parseAlphabetLines(lines, firstLine) {
+        const header = lines[0].trim().match(/^ALPHABET(?:\s+"([^"]*)")?(?:\s+(RNA|DNA|PROTEIN)-LIKE)?\s*$/i);
+        if (!header) {
+            throw this._parseError('Alphabet', firstLine, `invalid ALPHABET header "${lines[0].trim()}"`);
+        }
 
-        // Convert to integer PWM
-        const intLogPwm = logPwm.map(row => row.map(val => Math.round(val / binSize)));
+        const symbolPattern = /^(\S)(?:\s+"[^"]*")?(?:\s+([0-9A-Fa-f]{6}))?\s*$/;
+        const core = [];
+        const complements = {};
+        const colors = {};
+        const aliases = {};
+        const ambiguous = {};
+        const definition = [lines[0].trim()];
+        let ended = false;
 
-        // Calculate score range
-        let smallest = Infinity, largest = -Infinity;
-        let minCsum = 0, maxCsum = 0;
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#')) continue;
+            definition.push(line);
 
-        for (let pos = 0; pos < length; pos++) {
-            let posMin = Infinity, posMax = -Infinity;
-            
-            for (let char = 0; char < numChars; char++) {
-                posMin = Math.min(posMin, intLogPwm[char][pos]);
-                posMax = Math.max(posMax, intLogPwm[char][pos]);
+            if (/^END ALPHABET$/i.test(line)) {
+                ended = true;
+                break;
             }
-            
-            minCsum += posMin;
-            maxCsum += posMax;
-            smallest = Math.min(smallest, minCsum);
-            largest = Math.max(largest, maxCsum);
-        }
-
-        largest += length;
-        const arraySize = largest - smallest + 1;
-
-        // Dynamic programming to calculate score distribution
-        let oldLogPdf = Array(arraySize).fill(-Infinity);
-        let newLogPdf = Array(arraySize).fill(-Infinity);
 
-        // Initialize with first position
-        for (let char = 0; char < numChars; char++) {
-            const idx = intLogPwm[char][0] - smallest;
-            oldLogPdf[idx] = this.logAddExp2(oldLogPdf[idx], logBg);
-        }
+            const [left, operator, right] = line.split(/\s*([~=])\s*/);
+            const leftMatch = left.match(symbolPattern);
+            if (!leftMatch) {
+                throw this._parseError('Alphabet', firstLine + i, `invalid symbol definition "${line}"`);
+            }
+            const sym = leftMatch[1];
 
-        // Process remaining positions
-        for (let pos = 1; pos < length; pos++) {
-            newLogPdf.fill(-Infinity);
-            
-            for (let j = 0; j < arraySize; j++) {
-                if (oldLogPdf[j] !== -Infinity) {
-                    for (let char = 0; char < numChars; char++) {
-                        const newIdx = j + intLogPwm[char][pos];
-                        if (newIdx >= 0 && newIdx < arraySize) {
-                            newLogPdf[newIdx] = this.logAddExp2(
-                                newLogPdf[newIdx], 
-                                logBg + oldLogPdf[j]
-                            );
-                        }
+            if (operator === '=') {
+                const targets = right.trim();
+                if (targets.length === 1) {
+                    aliases[sym] = targets;
+                } else {
+                    ambiguous[sym] = targets;
+                }
+            } else {
+                core.push(sym);
+                if (leftMatch[2]) colors[sym] = leftMatch[2].toUpperCase();
+                if (operator === '~') {
+                    const rightMatch = right.match(symbolPattern);
+                    if (!rightMatch) {
+                        throw this._parseError('Alphabet', firstLine + i, `invalid complement definition "${line}"`);
                     }
+                    core.push(rightMatch[1]);
+                    if (rightMatch[2]) colors[rightMatch[1]] = rightMatch[2].toUpperCase();
+                    complements[sym] = rightMatch[1];
+                    complements[rightMatch[1]] = sym;
                 }
             }
-            
-            [oldLogPdf, newLogPdf] = [newLogPdf, oldLogPdf];
         }
 
-        // Convert to cumulative (1 - CDF)
-        for (let i = arraySize - 2; i >= 0; i--) {
-            oldLogPdf[i] = this.logAddExp2(oldLogPdf[i], oldLogPdf[i + 1]);
+        if (!ended) {
+            throw this._parseError('Alphabet', firstLine + lines.length - 1, 'missing END ALPHABET');
         }
 
-        return { smallest, logPdf: oldLogPdf };
+        // Matrix columns follow MEME's symbol order: uppercase, lowercase, digits, others
+        const rank = sym => /[A-Z]/.test(sym) ? 0 : /[a-z]/.test(sym) ? 1 : /[0-9]/.test(sym) ? 2 : 3;
+        const symbols = core.sort((a, b) => rank(a) - rank(b) || a.charCodeAt(0) - b.charCodeAt(0));
+        const allSymbols = symbols.concat(Object.keys(aliases), Object.keys(ambiguous));
+        const complementable = symbols.every(sym => complements[sym]);
+
+        return {
+            name: header[1] !== undefined ? header[1] : null,
+            like: header[2] ? header[2].toUpperCase() : null,
+            symbols,
+            complements: complementable ? complements : null,
+            aliases,
+            ambiguous,
+            colors,
+            caseSensitive: allSymbols.some(sym => sym.toLowerCase() !== sym.toUpperCase() &&
+                allSymbols.includes(sym === sym.toUpperCase() ? sym.toLowerCase() : sym.toUpperCase())),
+            standard: false,
+            definition
+        };
     }
 
     /**
-     * FIMO algorithm - Find Individual Motif Instances
-     * @param {Object} motifs - Dictionary of motif names to PWMs
-     * @param {Array<string>} sequences - Array of DNA sequences
-     * @param {Object} options - Algorithm options
-     * @returns {Array<Object>} - Array of hit objects for each motif
+     * Map every symbol of an alphabet (both cases unless case-sensitive) to its
+     * core index; ambiguous symbols map to -1
+     * @private
      */
-    fimo(motifs, sequences, options = {}) {
-        const {
-            alphabet = ['A', 'C', 'G', 'T'],
-            binSize = 0.1,
-            eps = 0.0001,
-            threshold = 0.0001,
-            reverseComplement = true
-        } = options;
-
-        const logThreshold = Math.log2(threshold);
-        const results = [];
-
-        // Process each motif
-        for (const [motifName, pwm] of Object.entries(motifs)) {
-            const motifHits = [];
-            
-            // Convert PWM to log space
-            const logPwm = pwm.map(row => 
-                row.map(val => Math.log2(val + eps) - Math.log2(0.25))
-            );
-
-            // Calculate p-value mapping
-            const { smallest, logPdf } = this.pwmToMapping(logPwm, binSize);
-            
-            // Find score threshold
-            let scoreThreshold = Infinity;
-            for (let i = 0; i < logPdf.length; i++) {
-                if (logPdf[i] < logThreshold) {
-                    scoreThreshold = (i + smallest) * binSize;
-                    break;
-                }
+    _symbolIndex(alpha) {
+        const index = new Map();
+        const add = (sym, idx) => {
+            index.set(sym, idx);
+            if (!alpha.caseSensitive) {
+                index.set(sym.toUpperCase(), idx);
+                index.set(sym.toLowerCase(), idx);
             }
+        };
 
-            // Scan sequences
-            for (let seqIdx = 0; seqIdx < sequences.length; seqIdx++) {
-                const sequence = sequences[seqIdx].toUpperCase();
-                const oneHot = this.oneHotEncode(sequence, alphabet);
-                
-                // Scan forward strand
-                this._scanSequence(oneHot, logPwm, scoreThreshold, binSize, 
-                    smallest, logPdf, motifName, seqIdx, '+', motifHits);
-                
-                // Scan reverse complement
-                if (reverseComplement) {
-                    const rcOneHot = this._reverseComplementOneHot(oneHot);
-                    const rcLogPwm = logPwm.slice().reverse().map(row => row.slice().reverse());
-                    this._scanSequence(rcOneHot, rcLogPwm, scoreThreshold, binSize, 
-                        smallest, logPdf, motifName, seqIdx, '-', motifHits);
-                }
-            }
-            
-            results.push({
-                motif_name: motifName,
-                hits: motifHits
-            });
+        alpha.symbols.forEach((sym, idx) => add(sym, idx));
+        for (const [sym, target] of Object.entries(alpha.aliases)) {
+            add(sym, alpha.symbols.indexOf(target));
         }
-
-        return results;
+        for (const sym of Object.keys(alpha.ambiguous)) {
+            add(sym, -1);
+        }
+        return index;
     }
 
     /**
-     * Helper function to scan a sequence with a motif
+     * Write every letter of a sequence in the case its alphabet defines it
+     * (e.g. 'acgt' becomes 'ACGT'); case-sensitive alphabets are left alone
      * @private
      */
-    _scanSequence(oneHot, logPwm, scoreThreshold, binSize, smallest, logPdf, 
-                  motifName, seqIdx, strand, hits) {
-        const seqLength = oneHot[0].length;
-        const motifLength = logPwm[0].length;
+    _canonicalCase(sequence, alpha) {
+        if (alpha.caseSensitive) {
+            return sequence;
+        }
 
-        for (let pos = 0; pos <= seqLength - motifLength; pos++) {
-            let score = 0;
-            
-            // Calculate score at this position
-            for (let motifPos = 0; motifPos < motifLength; motifPos++) {
-                for (let char = 0; char < 4; char++) {
-                    if (oneHot[char][pos + motifPos] === 1) {
-                        score += logPwm[char][motifPos];
-                        break;
-                    }
-                }
+        // Called for every FIMO hit, so the letter map is kept per alphabet object
+        this._caseMaps = this._caseMaps || new WeakMap();
+        let canonical = this._caseMaps.get(alpha);
+        if (!canonical) {
+            canonical = new Map();
+            for (const sym of alpha.symbols.concat(Object.keys(alpha.aliases), Object.keys(alpha.ambiguous))) {
+                canonical.set(sym.toUpperCase(), sym);
+                canonical.set(sym.toLowerCase(), sym);
             }
+            this._caseMaps.set(alpha, canonical);
+        }
+        let result = '';
+        for (let i = 0; i < sequence.length; i++) {
+            result += canonical.get(sequence[i]) || sequence[i];
+        }
+        return result;
+    }
 
-            // Check if score exceeds threshold
-            if (score > scoreThreshold) {
-                const scoreIdx = Math.floor(score / binSize) - smallest;
-                const pValue = scoreIdx < logPdf.length ? Math.pow(2, logPdf[scoreIdx]) : 0;
-                
-                hits.push({
-                    sequence_idx: seqIdx,
-                    start: pos,
-                    end: pos + motifLength,
-                    strand: strand,
-                    score: score,
-                    p_value: pValue
-                });
-            }
+    /**
+     * Decide whether to use the reverse complement. null means "if the alphabet
+     * has complements"; asking for it explicitly on an alphabet without them fails.
+     * @private
+     */
+    _useReverseComplement(requested, alpha) {
+        const complementable = Boolean(alpha && alpha.complements);
+        if (requested === null || requested === undefined) {
+            return complementable;
+        }
+        if (requested && !complementable) {
+            throw new Error(`Alphabet ${alpha ? alpha.name : ''} does not define complements, so it has no reverse complement`);
         }
+        return Boolean(requested);
     }
 
     /**
-     * Create reverse complement of one-hot encoded sequence
+     * Default alphabet for motifs with the given number of rows: DNA for 4,
+     * protein for 20, otherwise null
      * @private
      */
-    _reverseComplementOneHot(oneHot) {
-        const rc = oneHot.map(row => row.slice().reverse());
-        return [rc[3], rc[2], rc[1], rc[0]]; // T, G, C, A
+    _alphabetForSize(size) {
+        if (size === 4) return this.resolveAlphabet('DNA');
+        if (size === 20) return this.resolveAlphabet('protein');
+        return null;
     }
 
     // =====================================================
-    // TOMTOM ALGORITHM
+    // MEME FILE I/O
     // =====================================================
 
     /**
-     * TOMTOM algorithm - motif similarity with p-values
-     * @param {Array<Array<Array<number>>>} queries - Query PWMs
-     * @param {Array<Array<Array<number>>>} targets - Target PWMs  
-     * @param {Object} options - Algorithm options
-     * @returns {Object} - Results object with p-values, scores, etc.
+     * Read MEME formatted file
+     * @param {string} fileContent - Content of MEME file
+     * @param {number} maxMotifs - Maximum number of motifs to read
+     * @param {Object} options - Parsing options
+     * @param {boolean} options.metadata - Return the full MemeFile model instead of PWMs
+     * @returns {Object} - Dictionary of motif names to PWMs, or a MemeFile with metadata
      */
-    tomtom(queries, targets, options = {}) {
-        const {
-            nScoreBins = 100,
-            nMedianBins = 1000,
+    readMeme(fileContent, maxMotifs = null, options = {}) {
+        const { metadata = false } = options;
+        const memeFile = this._parseMeme(fileContent, maxMotifs);
+
+        if (metadata) {
+            return memeFile;
+        }
+
+        const motifs = {};
+        for (const motif of memeFile.motifs) {
+            motifs[motif.id] = motif.pwm;
+        }
+        return motifs;
+    }
+
+    /**
+     * A MEME motif file with everything the minimal MEME format can hold.
+     * @typedef {Object} MemeFile
+     * @property {string} version - Version from the "MEME version" line
+     * @property {Object} alphabet - Alphabet object (see resolveAlphabet) from the
+     *   "ALPHABET=" line or a version 5 ALPHABET ... END ALPHABET block
+     * @property {Array<string>|null} strands - Strands line, e.g. ['+', '-']
+     * @property {Object|null} background - {source, frequencies} with frequencies in
+     *   alphabet order and source the text after "Background letter frequencies"
+     * @property {Array<MemeMotif>} motifs - Motifs in file order
+     */
+
+    /**
+     * One motif of a MemeFile.
+     * @typedef {Object} MemeMotif
+     * @property {string} id - Motif identifier
+     * @property {string|null} altName - Alternate name after the identifier
+     * @property {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @property {number|null} nsites - Number of sites the matrix was built from
+     * @property {string|null} evalue - E-value text as written (MEME E-values can
+     *   underflow a double)
+     * @property {string|null} url - URL line
+     * @property {Object|null} logOdds - {matrix, params} of a log-odds matrix section,
+     *   params holding its header key/value pairs in order
+     */
+
+    /**
+     * Parse MEME minimal format into a MemeFile, failing with line numbers
+     * @private
+     */
+    _parseMeme(fileContent, maxMotifs) {
+        const lines = fileContent.split(/\r?\n/).map(line => line.trim());
+        const memeFile = { version: null, alphabet: this.resolveAlphabet('DNA'), strands: null, background: null, motifs: [] };
+        let motif = null;
+        let motifLine = 0;
+
+        const finishMotif = () => {
+            if (motif) {
+                if (!motif.pwm) {
+                    throw this._parseError('MEME', motifLine, `motif ${motif.id} has no letter-probability matrix`);
+                }
+                memeFile.motifs.push(motif);
+            }
+            motif = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (maxMotifs && memeFile.motifs.length >= maxMotifs) break;
+            if (line === '') continue;
+
+            if (line.startsWith('MEME version')) {
+                memeFile.version = line.slice('MEME version'.length).trim();
+            } else if (line.startsWith('ALPHABET=')) {
+                memeFile.alphabet = this.resolveAlphabet(line.slice('ALPHABET='.length).trim().split(''));
+            } else if (line.startsWith('ALPHABET')) {
+                let end = i;
+                while (end < lines.length && !/^END ALPHABET$/i.test(lines[end])) end++;
+                memeFile.alphabet = this._parseAlphabetLines(lines.slice(i, end + 1), i + 1);
+                i = end;
+            } else if (line.startsWith('strands:')) {
+                memeFile.strands = line.slice('strands:'.length).trim().split(/\s+/);
+            } else if (line.startsWith('Background letter frequencies')) {
+                const letters = {};
+                let j = i + 1;
+                for (; j < lines.length && lines[j] !== ''; j++) {
+                    const tokens = lines[j].split(/\s+/);
+                    for (let k = 0; k + 1 < tokens.length; k += 2) {
+                        letters[tokens[k]] = parseFloat(tokens[k + 1]);
+                    }
+                }
+
+                const symbols = memeFile.alphabet.symbols;
+                const frequencies = symbols.map(char =>
+                    letters[char] !== undefined || memeFile.alphabet.caseSensitive ? letters[char] : letters[char.toLowerCase()]);
+                if (frequencies.some(freq => freq === undefined || isNaN(freq))) {
+                    throw this._parseError('MEME', i + 2, `background must give a frequency for each of ${symbols.join('')}`);
+                }
+                memeFile.background = {
+                    source: line.slice('Background letter frequencies'.length).trim(),
+                    frequencies
+                };
+                i = j - 1;
+            } else if (line.startsWith('MOTIF')) {
+                finishMotif();
+                const fields = line.split(/\s+/);
+                if (fields.length < 2) {
+                    throw this._parseError('MEME', i + 1, 'MOTIF line has no motif identifier');
+                }
+
+                motif = {
+                    id: fields[1],
+                    altName: fields.length > 2 ? fields.slice(2).join(' ') : null,
+                    pwm: null,
+                    nsites: null,
+                    evalue: null,
+                    url: null,
+                    logOdds: null
+                };
+                motifLine = i + 1;
+            } else if (line.startsWith('letter-probability matrix') || line.startsWith('log-odds matrix')) {
+                if (!motif) {
+                    throw this._parseError('MEME', i + 1, 'matrix found outside of a MOTIF block');
+                }
+
+                const params = {};
+                const paramPattern = /(\S+)=\s*(\S+)/g;
+                let match;
+                while ((match = paramPattern.exec(line.slice(line.indexOf(':') + 1))) !== null) {
+                    params[match[1]] = match[2];
+                }
+
+                const width = parseInt(params.w, 10);
+                const alength = params.alength !== undefined ? parseInt(params.alength, 10) : memeFile.alphabet.symbols.length;
+                if (!(width > 0) || !(alength > 0)) {
+                    throw this._parseError('MEME', i + 1, `matrix header for motif ${motif.id} needs positive w= and alength=`);
+                }
+
+                // Read the width rows, allowing blank lines between them
+                const matrix = Array(alength).fill().map(() => Array(width).fill(0));
+                let pos = 0;
+                let j = i + 1;
+                for (; j < lines.length && pos < width; j++) {
+                    if (lines[j] === '') continue;
+
+                    const values = lines[j].split(/\s+/).map(Number);
+                    if (values.some(isNaN)) {
+                        throw this._parseError('MEME', j + 1,
+                            `motif ${motif.id} expected ${width} matrix rows, found ${pos}`);
+                    }
+                    if (values.length !== alength) {
+                        throw this._parseError('MEME', j + 1,
+                            `motif ${motif.id} expected ${alength} values per row, found ${values.length}`);
+                    }
+                    values.forEach((val, char) => { matrix[char][pos] = val; });
+                    pos++;
+                }
+                if (pos < width) {
+                    throw this._parseError('MEME', j, `motif ${motif.id} expected ${width} matrix rows, found ${pos}`);
+                }
+                i = j - 1;
+
+                if (line.startsWith('log-odds')) {
+                    motif.logOdds = { matrix, params };
+                } else {
+                    motif.pwm = matrix;
+                    motif.nsites = params.nsites !== undefined ? parseFloat(params.nsites) : null;
+                    motif.evalue = params.E !== undefined ? params.E : null;
+                }
+            } else if (line.startsWith('URL')) {
+                if (motif) {
+                    motif.url = line.slice('URL'.length).trim();
+                }
+            }
+            // Anything else (comments, free text) is not part of the motif model
+        }
+        finishMotif();
+
+        if (maxMotifs) {
+            memeFile.motifs = memeFile.motifs.slice(0, maxMotifs);
+        }
+        return memeFile;
+    }
+
+    /**
+     * Build an error for a malformed file that carries the line number
+     * @private
+     */
+    _parseError(format, lineNumber, message) {
+        const error = new Error(`${format} line ${lineNumber}: ${message}`);
+        error.lineNumber = lineNumber;
+        return error;
+    }
+
+    /**
+     * True for the MemeFile model returned by readMeme(..., {metadata: true})
+     * @private
+     */
+    _isMemeFile(motifs) {
+        return motifs !== null && typeof motifs === 'object' && Array.isArray(motifs.motifs) &&
+            motifs.motifs.every(motif => motif && typeof motif === 'object' && Array.isArray(motif.pwm));
+    }
+
+    /**
+     * Read background letter frequencies, either from the "Background letter
+     * frequencies" section of a MEME motif file or from a Markov background
+     * file as written by MEME's fasta-get-markov
+     * @param {string} fileContent - Content of MEME or background file
+     * @param {Array<string>|string|Object} alphabet - Alphabet characters, or an alphabet name/object
+     * @returns {Object} - {alphabet, frequencies, order, kmers}; frequencies are the
+     *   0-order probabilities in alphabet order, kmers maps every k-mer to its probability
+     */
+    readBackground(fileContent, alphabet = ['A', 'C', 'G', 'T']) {
+        const caseSensitive = !Array.isArray(alphabet) && this.resolveAlphabet(alphabet).caseSensitive;
+        if (!Array.isArray(alphabet)) {
+            alphabet = this.resolveAlphabet(alphabet).symbols;
+        }
+        const key = kmer => caseSensitive ? kmer : kmer.toUpperCase();
+        const lines = fileContent.split('\n').map(line => line.trim());
+        const kmers = {};
+
+        const memeStart = lines.findIndex(line => line.startsWith('Background letter frequencies'));
+        if (memeStart !== -1) {
+            // MEME motif file: letter/frequency pairs up to the next blank line
+            for (let i = memeStart + 1; i < lines.length && lines[i] !== ''; i++) {
+                const tokens = lines[i].split(/\s+/);
+                for (let j = 0; j + 1 < tokens.length; j += 2) {
+                    kmers[key(tokens[j])] = parseFloat(tokens[j + 1]);
+                }
+            }
+        } else {
+            // fasta-get-markov: one "k-mer probability" pair per line, '#' comments
+            for (const line of lines) {
+                if (line === '' || line.startsWith('#')) continue;
+                const [kmer, value] = line.split(/\s+/);
+                kmers[key(kmer)] = parseFloat(value);
+            }
+        }
+
+        const frequencies = alphabet.map(char => kmers[key(char)]);
+        if (frequencies.some(freq => freq === undefined || isNaN(freq))) {
+            throw new Error(`Background does not define frequencies for all of ${alphabet.join('')}`);
+        }
+
+        const order = Math.max(...Object.keys(kmers).map(kmer => kmer.length)) - 1;
+        return { alphabet, frequencies, order, kmers };
+    }
+
+    /**
+     * Write MEME formatted file
+     * @param {Object} motifs - Dictionary of motif names to PWMs, or a MemeFile from
+     *   readMeme(..., {metadata: true}), which is written back without loss
+     * @param {Object} options - Options
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet of a motif dictionary
+     *   (default DNA for 4-row and protein for 20-row matrices)
+     * @returns {string} - MEME file content
+     */
+    writeMeme(motifs, options = {}) {
+        if (this._isMemeFile(motifs)) {
+            return this._writeMemeFile(motifs);
+        }
+
+        const pwms = Object.values(motifs);
+        const alpha = options.alphabet ? this.resolveAlphabet(options.alphabet)
+            : this._alphabetForSize(pwms.length > 0 ? pwms[0].length : 4);
+        if (!alpha) {
+            throw new Error('writeMeme needs options.alphabet for motifs that are neither DNA nor protein');
+        }
+        const symbols = alpha.symbols;
+
+        let content = `MEME version ${alpha.standard ? 4 : 5}\n\n`;
+        content += this._memeAlphabetHeader(alpha) + '\n';
+        if (alpha.complements) {
+            content += "strands: + -\n\n";
+        }
+        content += "Background letter frequencies\n";
+        content += symbols.map(char => `${char} ${1 / symbols.length}`).join(' ') + '\n\n';
+
+        for (const [name, pwm] of Object.entries(motifs)) {
+            content += `MOTIF ${name}\n`;
+            content += `letter-probability matrix: alength= ${symbols.length} w= ${pwm[0].length} nsites= 1 E= 0\n`;
+            
+            for (let pos = 0; pos < pwm[0].length; pos++) {
+                const row = pwm.map(values => values[pos]);
+                content += row.join(' ') + '\n';
+            }
+            
+            content += "URL BLANK\n\n";
+        }
+
+        return content;
+    }
+
+    /**
+     * Write a MemeFile, keeping every field it holds
+     * @private
+     */
+    _writeMemeFile(memeFile) {
+        const alpha = this.resolveAlphabet(memeFile.alphabet || 'DNA');
+        const matrixRows = matrix => matrix[0].map((_, pos) => matrix.map(row => row[pos]).join(' ')).join('\n') + '\n';
+
+        let content = `MEME version ${memeFile.version || (alpha.standard ? '4' : '5')}\n\n`;
+        content += this._memeAlphabetHeader(alpha) + '\n';
+        if (memeFile.strands) {
+            content += `strands: ${memeFile.strands.join(' ')}\n\n`;
+        }
+        if (memeFile.background) {
+            const { source, frequencies } = memeFile.background;
+            content += `Background letter frequencies${source ? ' ' + source : ''}\n`;
+            content += alpha.symbols.map((char, idx) => `${char} ${frequencies[idx]}`).join(' ') + '\n\n';
+        }
+
+        for (const motif of memeFile.motifs) {
+            const width = motif.pwm[0].length;
+            content += `MOTIF ${motif.id}${motif.altName ? ' ' + motif.altName : ''}\n\n`;
+
+            if (motif.logOdds) {
+                const params = { ...motif.logOdds.params, alength: motif.logOdds.matrix.length, w: motif.logOdds.matrix[0].length };
+                content += 'log-odds matrix: ' + Object.entries(params).map(([key, val]) => `${key}= ${val}`).join(' ') + '\n';
+                content += matrixRows(motif.logOdds.matrix) + '\n';
+            }
+
+            content += `letter-probability matrix: alength= ${motif.pwm.length} w= ${width}`;
+            if (motif.nsites !== null && motif.nsites !== undefined) {
+                content += ` nsites= ${motif.nsites}`;
+            }
+            if (motif.evalue !== null && motif.evalue !== undefined) {
+                content += ` E= ${motif.evalue}`;
+            }
+            content += '\n' + matrixRows(motif.pwm) + '\n';
+
+            if (motif.url) {
+                content += `URL ${motif.url}\n\n`;
+            }
+        }
+
+        return content;
+    }
+
+    /**
+     * Alphabet section of a MEME file: the "ALPHABET=" line for the standard
+     * alphabets, a full definition block otherwise
+     * @private
+     */
+    _memeAlphabetHeader(alpha) {
+        return alpha.standard ? `ALPHABET= ${alpha.symbols.join('')}\n` : this.writeAlphabet(alpha);
+    }
+
+    // =====================================================
+    // MOTIF FORMAT I/O
+    // =====================================================
+
+    /**
+     * Guess the format of a motif file
+     * @param {string} fileContent - Content of motif file
+     * @returns {string} - 'meme', 'jaspar', 'transfac', 'homer' or 'cisbp'
+     */
+    detectMotifFormat(fileContent) {
+        const lines = fileContent.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+
+        if (lines.some(line => /^MEME version/.test(line))) {
+            return 'meme';
+        }
+        if (lines.some(line => /^Pos\s+A\s+C\s+G\s+[TU]$/i.test(line))) {
+            return 'cisbp';
+        }
+        if (lines.some(line => /^(P0|PO)\s/.test(line))) {
+            return 'transfac';
+        }
+
+        const header = lines.find(line => line.startsWith('>'));
+        if (header) {
+            // HOMER headers are consensus<TAB>name<TAB>log-odds threshold
+            const fields = header.slice(1).split('\t');
+            if (fields.length >= 3 && !isNaN(parseFloat(fields[2]))) {
+                return 'homer';
+            }
+            return 'jaspar';
+        }
+        if (lines.length > 0 && lines.every(line => /^([ACGT]\s*)?\[?[\d.\seE+-]+\]?$/i.test(line))) {
+            return 'jaspar';
+        }
+
+        throw new Error('Could not detect motif file format');
+    }
+
+    /**
+     * Read motifs from any supported format
+     * @param {string} fileContent - Content of motif file
+     * @param {string} format - 'auto', 'meme', 'jaspar', 'transfac', 'homer' or 'cisbp'
+     * @returns {Object} - Dictionary of motif names to PWMs
+     */
+    readMotifs(fileContent, format = 'auto') {
+        const resolved = format === 'auto' ? this.detectMotifFormat(fileContent) : format;
+
+        switch (resolved) {
+            case 'meme': return this.readMeme(fileContent);
+            case 'jaspar': return this.readJaspar(fileContent);
+            case 'transfac': return this.readTransfac(fileContent);
+            case 'homer': return this.readHomer(fileContent);
+            case 'cisbp': return this.readCisbp(fileContent);
+            default: throw new Error(`Unknown motif format: ${format}`);
+        }
+    }
+
+    /**
+     * Write motifs in any supported format
+     * @param {Object} motifs - Dictionary of motif names to PWMs
+     * @param {string} format - 'meme', 'jaspar', 'transfac', 'homer' or 'cisbp'
+     * @param {Object} options - Options for the format's writer
+     * @returns {string} - File content
+     */
+    writeMotifs(motifs, format, options = {}) {
+        switch (format) {
+            case 'meme': return this.writeMeme(motifs, options);
+            case 'jaspar': return this.writeJaspar(motifs, options);
+            case 'transfac': return this.writeTransfac(motifs, options);
+            case 'homer': return this.writeHomer(motifs, options);
+            case 'cisbp': return this.writeCisbp(motifs);
+            default: throw new Error(`Unknown motif format: ${format}`);
+        }
+    }
+
+    /**
+     * Read JASPAR formatted file, either bracketed (.jaspar) or raw count rows (.pfm)
+     * @param {string} fileContent - Content of JASPAR file
+     * @param {string} defaultName - Name for a motif without a '>' header
+     * @returns {Object} - Dictionary of motif names (matrix IDs) to PWMs
+     */
+    readJaspar(fileContent, defaultName = 'motif') {
+        const lines = fileContent.split(/\r?\n/).map(line => line.trim());
+        const motifs = {};
+        let name = null;
+        let rows = [];
+
+        const finish = () => {
+            if (rows.length === 0) return;
+            if (rows.length !== 4) {
+                throw new Error(`JASPAR motif ${name || defaultName}: expected 4 rows, found ${rows.length}`);
+            }
+
+            // Rows may be labelled with their letter; otherwise they are in ACGT order
+            const order = rows.every(row => row.letter) ? rows.map(row => 'ACGT'.indexOf(row.letter)) : [0, 1, 2, 3];
+            const counts = Array(4);
+            rows.forEach((row, idx) => { counts[order[idx]] = row.values; });
+            if (counts.some(row => !row || row.length !== counts[0].length)) {
+                throw new Error(`JASPAR motif ${name || defaultName}: rows must cover A, C, G, T with equal widths`);
+            }
+
+            motifs[name || defaultName] = this.normalizeColumns(counts);
+            rows = [];
+        };
+
+        for (const line of lines) {
+            if (line === '') continue;
+
+            if (line.startsWith('>')) {
+                finish();
+                name = line.slice(1).trim().split(/\s+/)[0];
+            } else {
+                const match = line.match(/^([A-Za-z])?\s*\[?([^\]]*)\]?$/);
+                const values = match[2].trim().split(/\s+/).map(Number);
+                if (values.some(isNaN)) {
+                    throw new Error(`JASPAR motif ${name || defaultName}: invalid row "${line}"`);
+                }
+                rows.push({ letter: match[1] ? match[1].toUpperCase() : null, values });
+            }
+        }
+        finish();
+
+        return motifs;
+    }
+
+    /**
+     * Write JASPAR formatted file. Probabilities are written as counts out of nsites.
+     * @param {Object} motifs - Dictionary of motif names to PWMs
+     * @param {Object} options - Output options
+     * @param {number} options.nsites - Number of sites the counts add up to (default: 100)
+     * @param {boolean} options.pfm - Write raw .pfm rows instead of bracketed .jaspar rows
+     * @returns {string} - JASPAR file content
+     */
+    writeJaspar(motifs, options = {}) {
+        const { nsites = 100, pfm = false } = options;
+        let content = '';
+
+        for (const [name, pwm] of Object.entries(motifs)) {
+            content += `>${name}\n`;
+            this.probabilitiesToCounts(pwm, nsites).forEach((counts, char) => {
+                content += pfm
+                    ? counts.join(' ') + '\n'
+                    : `${'ACGT'[char]}  [ ${counts.map(count => String(count).padStart(4)).join(' ')} ]\n`;
+            });
+        }
+
+        return content;
+    }
+
+    /**
+     * Read TRANSFAC formatted file
+     * @param {string} fileContent - Content of TRANSFAC file
+     * @returns {Object} - Dictionary of motif names (ID, or AC if missing) to PWMs
+     */
+    readTransfac(fileContent) {
+        const lines = fileContent.split(/\r?\n/);
+        const motifs = {};
+        let record = { id: null, ac: null, letters: null, rows: [] };
+
+        const finish = lineNumber => {
+            if (record.rows.length > 0) {
+                const name = record.id || record.ac || `motif_${Object.keys(motifs).length + 1}`;
+                const counts = record.letters.map(() => Array(record.rows.length));
+                record.rows.forEach((values, pos) => {
+                    values.forEach((val, idx) => { counts[idx][pos] = val; });
+                });
+
+                // Reorder the matrix columns to ACGT
+                const pwm = ['A', 'C', 'G', 'T'].map(letter => {
+                    const idx = record.letters.indexOf(letter === 'T' && !record.letters.includes('T') ? 'U' : letter);
+                    if (idx === -1) {
+                        throw new Error(`TRANSFAC line ${lineNumber}: motif ${name} has no ${letter} column`);
+                    }
+                    return counts[idx];
+                });
+                motifs[name] = this.normalizeColumns(pwm);
+            }
+            record = { id: null, ac: null, letters: null, rows: [] };
+        };
+
+        lines.forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            const code = line.slice(0, 2);
+            const value = line.slice(2).trim();
+
+            if (line.startsWith('//')) {
+                finish(i + 1);
+            } else if (code === 'ID') {
+                record.id = value.split(/\s+/)[0];
+            } else if (code === 'AC') {
+                record.ac = value.split(/\s+/)[0];
+            } else if (code === 'P0' || code === 'PO') {
+                record.letters = value.split(/\s+/).map(letter => letter.toUpperCase());
+            } else if (record.letters && /^\d+\s/.test(line)) {
+                const values = line.split(/\s+/).slice(1, record.letters.length + 1).map(Number);
+                if (values.length !== record.letters.length || values.some(isNaN)) {
+                    throw new Error(`TRANSFAC line ${i + 1}: invalid matrix row "${line}"`);
+                }
+                record.rows.push(values);
+            }
+        });
+        finish(lines.length);
+
+        return motifs;
+    }
+
+    /**
+     * Write TRANSFAC formatted file. Probabilities are written as counts out of nsites.
+     * @param {Object} motifs - Dictionary of motif names to PWMs
+     * @param {Object} options - Output options
+     * @param {number} options.nsites - Number of sites the counts add up to (default: 100)
+     * @returns {string} - TRANSFAC file content
+     */
+    writeTransfac(motifs, options = {}) {
+        const { nsites = 100 } = options;
+        let content = '';
+
+        for (const [name, pwm] of Object.entries(motifs)) {
+            const consensus = this.characters(pwm, ['A', 'C', 'G', 'T'], true);
+            content += `AC  ${name}\nXX\nID  ${name}\nXX\n`;
+            content += 'P0      A      C      G      T\n';
+            for (let pos = 0; pos < pwm[0].length; pos++) {
+                const counts = pwm.map(row => String(Math.round(row[pos] * nsites)).padStart(6)).join(' ');
+                content += `${String(pos + 1).padStart(2, '0')} ${counts}      ${consensus[pos]}\n`;
+            }
+            content += 'XX\n//\n';
+        }
+
+        return content;
+    }
+
+    /**
+     * Read HOMER .motif file
+     * @param {string} fileContent - Content of HOMER motif file
+     * @returns {Object} - Dictionary of motif names to PWMs
+     */
+    readHomer(fileContent) {
+        const lines = fileContent.split(/\r?\n/);
+        const motifs = {};
+        let name = null;
+        let columns = [];
+
+        const finish = () => {
+            if (name !== null) {
+                if (columns.length === 0) {
+                    throw new Error(`HOMER motif ${name}: no matrix rows`);
+                }
+                motifs[name] = this.normalizeColumns([0, 1, 2, 3].map(char => columns.map(col => col[char])));
+            }
+            columns = [];
+        };
+
+        lines.forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (line === '') return;
+
+            if (line.startsWith('>')) {
+                finish();
+                const fields = line.slice(1).split('\t');
+                name = fields.length > 1 && fields[1] !== '' ? fields[1] : fields[0];
+            } else {
+                const values = line.split(/\s+/).map(Number);
+                if (name === null || values.length !== 4 || values.some(isNaN)) {
+                    throw new Error(`HOMER line ${i + 1}: invalid matrix row "${line}"`);
+                }
+                columns.push(values);
+            }
+        });
+        finish();
+
+        return motifs;
+    }
+
+    /**
+     * Write HOMER .motif file
+     * @param {Object} motifs - Dictionary of motif names to PWMs
+     * @param {Object} options - Output options
+     * @param {number} options.threshold - Log-odds detection threshold written in each
+     *   header (default: 60% of the motif's maximum natural-log odds score)
+     * @returns {string} - HOMER motif file content
+     */
+    writeHomer(motifs, options = {}) {
+        let content = '';
+
+        for (const [name, pwm] of Object.entries(motifs)) {
+            const consensus = this.characters(pwm, ['A', 'C', 'G', 'T'], true);
+            let threshold = options.threshold;
+            if (threshold === undefined) {
+                let maxScore = 0;
+                for (let pos = 0; pos < pwm[0].length; pos++) {
+                    maxScore += Math.max(...pwm.map(row => Math.log(Math.max(row[pos], 0.001) / 0.25)));
+                }
+                threshold = 0.6 * maxScore;
+            }
+
+            content += `>${consensus}\t${name}\t${threshold.toFixed(6)}\n`;
+            for (let pos = 0; pos < pwm[0].length; pos++) {
+                content += pwm.map(row => row[pos].toFixed(3)).join('\t') + '\n';
+            }
+        }
+
+        return content;
+    }
+
+    /**
+     * Read cis-BP PWM table(s). Each table starts with a "Pos A C G T" header and
+     * is named by a preceding "Motif <ID>" line when present.
+     * @param {string} fileContent - Content of cis-BP PWM file
+     * @param {string} defaultName - Name for a table without a Motif line
+     * @returns {Object} - Dictionary of motif names to PWMs
+     */
+    readCisbp(fileContent, defaultName = 'motif') {
+        const lines = fileContent.split(/\r?\n/);
+        const motifs = {};
+        let pendingName = null;
+        let table = null;
+
+        const finish = () => {
+            if (table && table.columns.length > 0) {
+                motifs[table.name] = this.normalizeColumns([0, 1, 2, 3].map(char => table.columns.map(col => col[char])));
+            }
+            table = null;
+        };
+
+        lines.forEach((rawLine, i) => {
+            const fields = rawLine.trim().split(/\t|\s{2,}/);
+
+            if (fields[0] === '') {
+                finish();
+            } else if (/^Motif$/i.test(fields[0]) && fields.length > 1) {
+                finish();
+                pendingName = fields[1].trim();
+            } else if (/^Pos$/i.test(fields[0])) {
+                finish();
+                const count = Object.keys(motifs).length;
+                table = { name: pendingName || (count === 0 ? defaultName : `${defaultName}_${count + 1}`), columns: [] };
+                pendingName = null;
+            } else if (table) {
+                const values = fields.slice(1).map(Number);
+                if (values.length !== 4 || values.some(isNaN)) {
+                    throw new Error(`cis-BP line ${i + 1}: invalid matrix row "${rawLine.trim()}"`);
+                }
+                table.columns.push(values);
+            }
+        });
+        finish();
+
+        return motifs;
+    }
+
+    /**
+     * Write cis-BP PWM tables, one block per motif
+     * @param {Object} motifs - Dictionary of motif names to PWMs
+     * @returns {string} - cis-BP PWM file content
+     */
+    writeCisbp(motifs) {
+        return Object.entries(motifs).map(([name, pwm]) => {
+            let block = `Motif\t${name}\nPos\tA\tC\tG\tT\n`;
+            for (let pos = 0; pos < pwm[0].length; pos++) {
+                block += `${pos + 1}\t` + pwm.map(row => row[pos]).join('\t') + '\n';
+            }
+            return block;
+        }).join('\n');
+    }
+
+    // =====================================================
+    // MOTIF UTILITIES
+    // =====================================================
+
+    /**
+     * Information content of a motif against a background
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {Object} options - Options
+     * @param {Array<number>|Object|string} options.background - Background frequencies, an object
+     *   from readBackground, or 'uniform' (default: uniform)
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet (default: DNA or protein by size)
+     * @returns {Object} - {positions, total}: bits of every position and their sum
+     */
+    informationContent(pwm, options = {}) {
+        const bg = this._motifBackground(pwm, options);
+        const positions = pwm[0].map((_, pos) =>
+            pwm.reduce((sum, row, char) => (row[pos] > 0 ? sum + row[pos] * Math.log2(row[pos] / bg[char]) : sum), 0)
+        );
+        return { positions, total: positions.reduce((a, b) => a + b, 0) };
+    }
+
+    /**
+     * Remove low-information positions from both ends of a motif
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {Object} options - informationContent() options, plus:
+     * @param {number} options.minInformation - Flanking positions with fewer bits are
+     *   removed (default: 0.25)
+     * @returns {Array<Array<number>>} - Trimmed matrix; width 0 if no position is informative enough
+     */
+    trimMotif(pwm, options = {}) {
+        const { minInformation = 0.25 } = options;
+        const { positions } = this.informationContent(pwm, options);
+
+        let start = 0;
+        let end = positions.length;
+        while (start < end && positions[start] < minInformation) start++;
+        while (end > start && positions[end - 1] < minInformation) end--;
+        return pwm.map(row => row.slice(start, end));
+    }
+
+    /**
+     * Degenerate consensus of a motif using the alphabet's ambiguity codes,
+     * by Cavener's rules: a letter with over half the probability and twice
+     * the next one, else the code for the two best letters if they hold over
+     * three quarters, else the code for the letters present if one is absent,
+     * else the code for any letter
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {Array<string>|string|Object} alphabet - Alphabet (default: DNA or protein by size)
+     * @returns {string} - Consensus such as 'TGACGTMA'
+     */
+    iupacConsensus(pwm, alphabet = null) {
+        const alpha = this._motifAlphabet(pwm, alphabet);
+        const sorted = letters => letters.split('').sort().join('');
+        const codes = {};
+        for (const [sym, targets] of Object.entries(alpha.ambiguous)) {
+            if (!codes[sorted(targets)]) codes[sorted(targets)] = sym;
+        }
+        const anyLetter = codes[sorted(alpha.symbols.join(''))] || '?';
+        const code = letters => codes[sorted(letters.join(''))] || anyLetter;
+
+        let consensus = '';
+        for (let pos = 0; pos < pwm[0].length; pos++) {
+            const ranked = alpha.symbols
+                .map((sym, char) => ({ sym, prob: pwm[char][pos] }))
+                .sort((a, b) => b.prob - a.prob);
+            const [first, second] = ranked;
+            const present = ranked.filter(({ prob }) => prob > 0);
+
+            if (first.prob > 0.5 && first.prob > 2 * second.prob) {
+                consensus += first.sym;
+            } else if (first.prob + second.prob > 0.75) {
+                consensus += code([first.sym, second.sym]);
+            } else if (present.length < ranked.length) {
+                consensus += code(present.map(({ sym }) => sym));
+            } else {
+                consensus += anyLetter;
+            }
+        }
+        return consensus;
+    }
+
+    /**
+     * Reverse complement of a motif or sequence
+     * @param {Array<Array<number>>|string} motif - Matrix [alphabet_size x width] (PWM, counts
+     *   or log-odds) or sequence string
+     * @param {Array<string>|string|Object} alphabet - Alphabet with complements (default: DNA, or
+     *   for a matrix DNA or protein by size)
+     * @returns {Array<Array<number>>|string} - Reverse complement in the same form
+     */
+    reverseComplement(motif, alphabet = null) {
+        const alpha = typeof motif === 'string'
+            ? this.resolveAlphabet(alphabet || 'DNA')
+            : this._motifAlphabet(motif, alphabet);
+        if (!alpha.complements) {
+            throw new Error(`Alphabet ${alpha.name} does not define complements, so it has no reverse complement`);
+        }
+        if (typeof motif === 'string') {
+            return this._reverseComplementString(motif, alpha);
+        }
+        return alpha.symbols.map(sym =>
+            motif[alpha.symbols.indexOf(alpha.complements[sym])].slice().reverse()
+        );
+    }
+
+    /**
+     * Letter probabilities from letter counts, with pseudocounts spread by the
+     * background: (count + pseudocount * bg) / (sites + pseudocount)
+     * @param {Array<Array<number>>} counts - Count matrix [alphabet_size x width]
+     * @param {Object} options - Options
+     * @param {number} options.pseudocount - Total pseudocount per position (default: 0)
+     * @param {Array<number>|Object|string} options.background - Background, as for
+     *   informationContent() (default: uniform)
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet (default: DNA or protein by size)
+     * @returns {Array<Array<number>>} - Letter-probability matrix
+     */
+    countsToProbabilities(counts, options = {}) {
+        const { pseudocount = 0 } = options;
+        const bg = this._motifBackground(counts, options);
+        return this.normalizeColumns(counts.map((row, char) => row.map(count => count + pseudocount * bg[char])));
+    }
+
+    /**
+     * Letter counts of a motif built from a given number of sites, rounded to
+     * whole sites
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {number} nsites - Number of sites (default: 100)
+     * @returns {Array<Array<number>>} - Count matrix
+     */
+    probabilitiesToCounts(pwm, nsites = 100) {
+        return pwm.map(row => row.map(prob => Math.round(prob * nsites)));
+    }
+
+    /**
+     * Log-odds scores (bits) of a motif against a background. The pseudocount
+     * is mixed in as for countsToProbabilities() with the probabilities
+     * counting as one site, so that absent letters score finitely.
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {Object} options - Options
+     * @param {number} options.pseudocount - Pseudocount relative to one site (default: 0.01)
+     * @param {Array<number>|Object|string} options.background - Background (default: uniform)
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet (default: DNA or protein by size)
+     * @returns {Array<Array<number>>} - Log-odds matrix, log2(p / bg)
+     */
+    probabilitiesToLogOdds(pwm, options = {}) {
+        const { pseudocount = 0.01 } = options;
+        const bg = this._motifBackground(pwm, options);
+        return this.countsToProbabilities(pwm, { ...options, pseudocount })
+            .map((row, char) => row.map(prob => Math.log2(prob / bg[char])));
+    }
+
+    /**
+     * Letter probabilities from log-odds scores (bits) against a background;
+     * every position is normalized to sum to one
+     * @param {Array<Array<number>>} logOdds - Log-odds matrix [alphabet_size x width]
+     * @param {Object} options - Options
+     * @param {Array<number>|Object|string} options.background - Background (default: uniform)
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet (default: DNA or protein by size)
+     * @returns {Array<Array<number>>} - Letter-probability matrix
+     */
+    logOddsToProbabilities(logOdds, options = {}) {
+        const bg = this._motifBackground(logOdds, options);
+        return this.normalizeColumns(logOdds.map((row, char) => row.map(score => bg[char] * Math.pow(2, score))));
+    }
+
+    /**
+     * Scale each column of a count or weight matrix to sum to one; empty columns
+     * become uniform
+     * @param {Array<Array<number>>} matrix - Matrix [alphabet_size x width]
+     * @returns {Array<Array<number>>} - Letter-probability matrix
+     */
+    normalizeColumns(matrix) {
+        const width = matrix[0].length;
+        const result = matrix.map(() => Array(width).fill(0));
+
+        for (let pos = 0; pos < width; pos++) {
+            const total = matrix.reduce((sum, row) => sum + row[pos], 0);
+            for (let char = 0; char < matrix.length; char++) {
+                result[char][pos] = total > 0 ? matrix[char][pos] / total : 1 / matrix.length;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that a matrix is a letter-probability matrix: one row per letter,
+     * all rows the same width, probabilities between 0 and 1 and every
+     * position summing to one
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {Object} options - Options
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet the rows must match
+     *   (default: any number of rows)
+     * @param {number} options.tolerance - Allowed deviation of a column sum from one (default: 0.01)
+     * @returns {boolean} - true; a malformed matrix throws an Error saying what is wrong
+     */
+    validateMotif(pwm, options = {}) {
+        const { alphabet = null, tolerance = 0.01 } = options;
+        if (!Array.isArray(pwm) || pwm.length === 0 || !pwm.every(Array.isArray)) {
+            throw new Error('Motif must be a non-empty array of rows, one per letter');
+        }
+        if (alphabet) {
+            const alpha = this.resolveAlphabet(alphabet);
+            if (pwm.length !== alpha.symbols.length) {
+                throw new Error(`Motif has ${pwm.length} rows but alphabet ${alpha.name} has ${alpha.symbols.length} letters`);
+            }
+        }
+        const width = pwm[0].length;
+        if (width === 0 || pwm.some(row => row.length !== width)) {
+            throw new Error('Motif rows must all have the same, non-zero width');
+        }
+        for (let pos = 0; pos < width; pos++) {
+            let total = 0;
+            for (let char = 0; char < pwm.length; char++) {
+                const prob = pwm[char][pos];
+                if (typeof prob !== 'number' || !(prob >= 0 && prob <= 1)) {
+                    throw new Error(`Motif position ${pos + 1} has an invalid probability: ${prob}`);
+                }
+                total += prob;
+            }
+            if (Math.abs(total - 1) > tolerance) {
+                throw new Error(`Motif position ${pos + 1} sums to ${total}, not 1`);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Alphabet of a motif: the given one, or DNA or protein by matrix size
+     * @private
+     */
+    _motifAlphabet(pwm, alphabet) {
+        const alpha = alphabet ? this.resolveAlphabet(alphabet) : this._alphabetForSize(pwm.length);
+        if (!alpha) {
+            throw new Error(`No default alphabet for motifs with ${pwm.length} rows; pass an alphabet`);
+        }
+        if (pwm.length !== alpha.symbols.length) {
+            throw new Error(`Motif has ${pwm.length} rows but alphabet ${alpha.name} has ${alpha.symbols.length} letters`);
+        }
+        return alpha;
+    }
+
+    /**
+     * 0-order background of a motif utility call; uniform unless given
+     * @private
+     */
+    _motifBackground(pwm, { background = null, alphabet = null }) {
+        if (background === null || background === 'uniform') {
+            return Array(pwm.length).fill(1 / pwm.length);
+        }
+        return this._resolveBackground(background, this._motifAlphabet(pwm, alphabet));
+    }
+
+    // =====================================================
+    // SEQUENCE FILE I/O
+    // =====================================================
+
+    /**
+     * Read FASTA formatted file
+     * @param {string} fileContent - Content of FASTA file
+     * @param {Object} options - Parsing options
+     * @param {boolean} options.maskLowercase - Replace soft-masked (lowercase) bases with N
+     * @returns {Array<Object>} - Array of {name, description, sequence} records
+     */
+    readFasta(fileContent, options = {}) {
+        const { maskLowercase = false } = options;
+        const lines = fileContent.split(/\r?\n/);
+        const records = [];
+        let current = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            if (line.startsWith('>')) {
+                if (current) {
+                    records.push(this._finishFastaRecord(current, maskLowercase));
+                }
+                current = { ...this._parseSequenceHeader(line.slice(1)), chunks: [] };
+            } else if (line === '' || line.startsWith(';')) {
+                continue;
+            } else if (current) {
+                current.chunks.push(line.replace(/\s+/g, ''));
+            } else {
+                throw new Error(`FASTA line ${i + 1}: sequence data before the first '>' header`);
+            }
+        }
+
+        if (current) {
+            records.push(this._finishFastaRecord(current, maskLowercase));
+        }
+
+        return records;
+    }
+
+    /**
+     * Read FASTQ formatted file
+     * @param {string} fileContent - Content of FASTQ file
+     * @param {Object} options - Parsing options
+     * @param {boolean} options.maskLowercase - Replace soft-masked (lowercase) bases with N
+     * @returns {Array<Object>} - Array of {name, description, sequence, quality} records
+     */
+    readFastq(fileContent, options = {}) {
+        const { maskLowercase = false } = options;
+        const lines = fileContent.split(/\r?\n/);
+        const records = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            if (lines[i].trim() === '') {
+                i++;
+                continue;
+            }
+            if (!lines[i].startsWith('@')) {
+                throw new Error(`FASTQ line ${i + 1}: expected '@' header`);
+            }
+
+            const header = this._parseSequenceHeader(lines[i].trim().slice(1));
+            i++;
+
+            // Sequence may be wrapped over several lines up to the '+' separator
+            let sequence = '';
+            while (i < lines.length && !lines[i].startsWith('+')) {
+                sequence += lines[i].trim();
+                i++;
+            }
+            if (i >= lines.length) {
+                throw new Error(`FASTQ record ${header.name}: missing '+' separator`);
+            }
+            i++;
+
+            // Quality is read until it covers the whole sequence
+            let quality = '';
+            while (i < lines.length && quality.length < sequence.length) {
+                quality += lines[i].trim();
+                i++;
+            }
+            if (quality.length !== sequence.length) {
+                throw new Error(`FASTQ record ${header.name}: quality length does not match sequence length`);
+            }
+
+            records.push({
+                name: header.name,
+                description: header.description,
+                sequence: maskLowercase ? sequence.replace(/[a-z]/g, 'N') : sequence,
+                quality
+            });
+        }
+
+        return records;
+    }
+
+    /**
+     * Split a FASTA/FASTQ header into the identifier and description
+     * @private
+     */
+    _parseSequenceHeader(header) {
+        const match = header.trim().match(/^(\S*)\s*(.*)$/);
+        return { name: match[1], description: match[2] };
+    }
+
+    /**
+     * Join the sequence lines of a FASTA record
+     * @private
+     */
+    _finishFastaRecord(record, maskLowercase) {
+        const sequence = record.chunks.join('');
+        return {
+            name: record.name,
+            description: record.description,
+            sequence: maskLowercase ? sequence.replace(/[a-z]/g, 'N') : sequence
+        };
+    }
+
+    // =====================================================
+    // GENOME I/O
+    // =====================================================
+
+    /**
+     * Parse BED intervals (BED3 to BED6; extra columns are ignored)
+     * @param {string} fileContent - BED content
+     * @returns {Array<Object>} - Intervals {chrom, start, end, name, score, strand},
+     *   0-based half-open; missing columns are null
+     */
+    readBed(fileContent) {
+        const intervals = [];
+        fileContent.split(/\r?\n/).forEach((rawLine, idx) => {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('#') || /^(track|browser)\b/.test(line)) return;
+
+            const fields = line.split('\t').length >= 3 ? line.split('\t') : line.split(/\s+/);
+            const start = parseInt(fields[1], 10);
+            const end = parseInt(fields[2], 10);
+            if (fields.length < 3 || !(start >= 0) || !(end >= start)) {
+                throw new Error(`BED line ${idx + 1}: expected chrom, start and end with 0 <= start <= end`);
+            }
+
+            intervals.push({
+                chrom: fields[0],
+                start,
+                end,
+                name: fields[3] !== undefined && fields[3] !== '.' ? fields[3] : null,
+                score: fields[4] !== undefined && fields[4] !== '.' ? parseFloat(fields[4]) : null,
+                strand: fields[5] === '+' || fields[5] === '-' ? fields[5] : null
+            });
+        });
+        return intervals;
+    }
+
+    /**
+     * Parse VCF variant records. Header lines are skipped; multi-allelic
+     * records keep every alternate allele.
+     * @param {string} fileContent - VCF content
+     * @returns {Array<Object>} - Variants {chrom, pos (1-based, as in VCF), id, ref, alts, qual,
+     *   filter, info}; missing ('.') fields are null and a missing ALT gives no alleles
+     */
+    readVcf(fileContent) {
+        const variants = [];
+        fileContent.split(/\r?\n/).forEach((rawLine, idx) => {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('#')) return;
+
+            const fields = line.split('\t');
+            const pos = Number(fields[1]);
+            if (fields.length < 5 || !Number.isInteger(pos) || pos < 0 || !/^[A-Za-z]+$/.test(fields[3])) {
+                throw new Error(`VCF line ${idx + 1}: expected chrom, pos, id, ref and alt`);
+            }
+
+            const missing = field => field === undefined || field === '.' ? null : field;
+            variants.push({
+                chrom: fields[0],
+                pos,
+                id: missing(fields[2]),
+                ref: fields[3],
+                alts: fields[4] === '.' ? [] : fields[4].split(','),
+                qual: missing(fields[5]) === null ? null : parseFloat(fields[5]),
+                filter: missing(fields[6]),
+                info: missing(fields[7])
+            });
+        });
+        return variants;
+    }
+
+    /**
+     * Build a samtools faidx index for FASTA content
+     * @param {string} fileContent - FASTA content, every record with lines of equal length
+     * @returns {string} - .fai content (name, length, offset, line bases, line bytes)
+     */
+    indexFasta(fileContent) {
+        const rows = [];
+        let record = null;
+        let byte = 0;
+
+        for (const rawLine of fileContent.split('\n')) {
+            const lineBytes = rawLine.length + 1;
+            const line = rawLine.replace(/\r$/, '');
+
+            if (line.startsWith('>')) {
+                if (record) rows.push(record);
+                record = { name: this._parseSequenceHeader(line.slice(1)).name, length: 0, offset: byte + lineBytes,
+                    lineBases: 0, lineBytes: 0, shortLine: false };
+            } else if (record && line.length > 0) {
+                if (record.shortLine) {
+                    throw new Error(`FASTA record ${record.name} has lines of different lengths, so it cannot be indexed`);
+                }
+                if (record.lineBases === 0) {
+                    record.lineBases = line.length;
+                    record.lineBytes = lineBytes;
+                } else if (line.length > record.lineBases) {
+                    throw new Error(`FASTA record ${record.name} has lines of different lengths, so it cannot be indexed`);
+                }
+                record.shortLine = line.length < record.lineBases;
+                record.length += line.length;
+            }
+            byte += lineBytes;
+        }
+        if (record) rows.push(record);
+
+        return rows.map(row => [row.name, row.length, row.offset, row.lineBases, row.lineBytes].join('\t') + '\n').join('');
+    }
+
+    /**
+     * Open an indexed FASTA genome for random access
+     * @param {string|Uint8Array|ArrayBuffer|Blob|Function} source - FASTA file: a path (Node.js),
+     *   its bytes, a Blob/File (browser), or an async function (offset, length) => bytes
+     * @param {string} faiContent - The .fai index, e.g. from indexFasta
+     * @returns {Object} - Genome {chromosomes: {name: length}, fetch(chrom, start, end) => Promise<string>,
+     *   close() => Promise, which closes a file opened from a path}
+     */
+    openIndexedFasta(source, faiContent) {
+        const read = this._byteReader(source);
+        const index = {};
+        for (const line of faiContent.split(/\r?\n/)) {
+            if (line.trim() === '') continue;
+            const [name, length, offset, lineBases, lineBytes] = line.split('\t');
+            index[name] = { length: Number(length), offset: Number(offset),
+                lineBases: Number(lineBases), lineBytes: Number(lineBytes) };
+        }
+
+        const chromosomes = {};
+        for (const [name, entry] of Object.entries(index)) {
+            chromosomes[name] = entry.length;
+        }
+
+        const fetch = async (chrom, start, end) => {
+            this._checkInterval(chromosomes, chrom, start, end);
+            if (start === end) return '';
+            const entry = index[chrom];
+
+            // Byte position of a base, skipping the line ends before it
+            const position = base => entry.offset + Math.floor(base / entry.lineBases) * entry.lineBytes +
+                base % entry.lineBases;
+            const bytes = await read(position(start), position(end - 1) + 1 - position(start));
+            return this._decodeAscii(bytes).replace(/[\r\n]/g, '');
+        };
+
+        return { chromosomes, fetch, close: read.close };
+    }
+
+    /**
+     * Open a UCSC 2bit genome for random access. Soft-masked bases come back
+     * lowercase and N blocks as N.
+     * @param {string|Uint8Array|ArrayBuffer|Blob|Function} source - 2bit file, as for openIndexedFasta
+     * @returns {Promise<Object>} - Genome {chromosomes, fetch, close}, as from openIndexedFasta
+     */
+    async openTwoBit(source) {
+        const read = this._byteReader(source);
+        const header = await read(0, 16);
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        let littleEndian;
+        if (view.getUint32(0, true) === 0x1A412743) {
+            littleEndian = true;
+        } else if (view.getUint32(0, false) === 0x1A412743) {
+            littleEndian = false;
+        } else {
+            throw new Error('Not a 2bit file: bad signature');
+        }
+        const version = view.getUint32(4, littleEndian);
+        if (version > 1) {
+            throw new Error(`Unsupported 2bit version ${version}`);
+        }
+        const sequenceCount = view.getUint32(8, littleEndian);
+        const offsetSize = version === 1 ? 8 : 4;
+
+        // The index: name length, name and record offset for every sequence,
+        // read in large blocks rather than entry by entry
+        let block = new Uint8Array(0);
+        let blockStart = 16;
+        const indexBytes = async (start, length) => {
+            if (start + length > blockStart + block.length) {
+                const rest = block.subarray(start - blockStart);
+                const more = await read(blockStart + block.length, Math.max(65536, length));
+                block = new Uint8Array(rest.length + more.length);
+                block.set(rest);
+                block.set(more, rest.length);
+                blockStart = start;
+                if (block.length < length) {
+                    throw new Error('Not a 2bit file: truncated index');
+                }
+            }
+            return block.subarray(start - blockStart, start - blockStart + length);
+        };
+
+        const index = {};
+        let position = 16;
+        for (let i = 0; i < sequenceCount; i++) {
+            const nameSize = (await indexBytes(position, 1))[0];
+            const entry = await indexBytes(position + 1, nameSize + offsetSize);
+            const entryView = new DataView(entry.buffer, entry.byteOffset, entry.byteLength);
+            const offset = version === 1
+                ? entryView.getUint32(nameSize + (littleEndian ? 4 : 0), littleEndian) * 4294967296 +
+                  entryView.getUint32(nameSize + (littleEndian ? 0 : 4), littleEndian)
+                : entryView.getUint32(nameSize, littleEndian);
+            index[this._decodeAscii(entry.subarray(0, nameSize))] = { offset, length: null, record: null };
+            position += 1 + nameSize + offsetSize;
+        }
+
+        const readUint32s = async (offset, count) => {
+            const bytes = await read(offset, count * 4);
+            const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            return Array.from({ length: count }, (_, k) => dataView.getUint32(k * 4, littleEndian));
+        };
+
+        // Only each record's size and N block count are read up front; the N
+        // and mask blocks are read on first use
+        const chromosomes = {};
+        for (const [name, entry] of Object.entries(index)) {
+            [entry.length, entry.nBlockCount] = await readUint32s(entry.offset, 2);
+            chromosomes[name] = entry.length;
+        }
+
+        const record = async name => {
+            const entry = index[name];
+            if (!entry.record) {
+                let offset = entry.offset + 8;
+                const nBlocks = await readUint32s(offset, 2 * entry.nBlockCount + 1);
+                const maskBlockCount = nBlocks[2 * entry.nBlockCount];
+                offset += 8 * entry.nBlockCount + 4;
+                const maskBlocks = await readUint32s(offset, 2 * maskBlockCount);
+                offset += 8 * maskBlockCount + 4;
+                entry.record = {
+                    nStarts: nBlocks.slice(0, entry.nBlockCount),
+                    nSizes: nBlocks.slice(entry.nBlockCount, 2 * entry.nBlockCount),
+                    maskStarts: maskBlocks.slice(0, maskBlockCount),
+                    maskSizes: maskBlocks.slice(maskBlockCount),
+                    dnaOffset: offset
+                };
+            }
+            return entry.record;
+        };
+
+        const fetch = async (chrom, start, end) => {
+            this._checkInterval(chromosomes, chrom, start, end);
+            if (start === end) return '';
+            const { nStarts, nSizes, maskStarts, maskSizes, dnaOffset } = await record(chrom);
+
+            // Four bases per byte, most significant bits first: T, C, A, G
+            const firstByte = Math.floor(start / 4);
+            const packed = await read(dnaOffset + firstByte, Math.ceil(end / 4) - firstByte);
+            const bases = new Array(end - start);
+            for (let pos = start; pos < end; pos++) {
+                const byte = packed[Math.floor(pos / 4) - firstByte];
+                bases[pos - start] = 'TCAG'[(byte >> (6 - 2 * (pos % 4))) & 3];
+            }
+
+            const overlay = (starts, sizes, apply) => {
+                starts.forEach((blockStart, k) => {
+                    const from = Math.max(blockStart, start);
+                    const to = Math.min(blockStart + sizes[k], end);
+                    for (let pos = from; pos < to; pos++) {
+                        bases[pos - start] = apply(bases[pos - start]);
+                    }
+                });
+            };
+            overlay(nStarts, nSizes, () => 'N');
+            overlay(maskStarts, maskSizes, base => base.toLowerCase());
+            return bases.join('');
+        };
+
+        return { chromosomes, fetch, close: read.close };
+    }
+
+    /**
+     * Write sequences as a UCSC 2bit file (version 0, little-endian). Runs of
+     * N and lowercase (soft-masked) bases are stored as blocks.
+     * @param {Array<Object>} records - Records {name, sequence}, e.g. from readFasta
+     * @returns {Uint8Array} - 2bit file bytes
+     */
+    writeTwoBit(records) {
+        const blocks = (sequence, test) => {
+            const starts = [];
+            const sizes = [];
+            for (let pos = 0; pos < sequence.length; pos++) {
+                if (!test(sequence[pos])) continue;
+                if (starts.length > 0 && starts[starts.length - 1] + sizes[sizes.length - 1] === pos) {
+                    sizes[sizes.length - 1]++;
+                } else {
+                    starts.push(pos);
+                    sizes.push(1);
+                }
+            }
+            return { starts, sizes };
+        };
+
+        const encoded = records.map(({ name, sequence }) => {
+            const nBlocks = blocks(sequence, base => base === 'N' || base === 'n');
+            const maskBlocks = blocks(sequence, base => base !== base.toUpperCase());
+            const size = 16 + 8 * nBlocks.starts.length + 8 * maskBlocks.starts.length + Math.ceil(sequence.length / 4);
+            return { name, sequence, nBlocks, maskBlocks, size };
+        });
+
+        const indexSize = encoded.reduce((sum, record) => sum + 5 + record.name.length, 0);
+        const total = 16 + indexSize + encoded.reduce((sum, record) => sum + record.size, 0);
+        const bytes = new Uint8Array(total);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x1A412743, true);
+        view.setUint32(8, records.length, true);
+
+        let position = 16;
+        let recordOffset = 16 + indexSize;
+        for (const record of encoded) {
+            bytes[position] = record.name.length;
+            for (let k = 0; k < record.name.length; k++) {
+                bytes[position + 1 + k] = record.name.charCodeAt(k);
+            }
+            view.setUint32(position + 1 + record.name.length, recordOffset, true);
+            position += 5 + record.name.length;
+            recordOffset += record.size;
+        }
+
+        for (const { sequence, nBlocks, maskBlocks } of encoded) {
+            const writeUint32s = values => {
+                for (const value of values) {
+                    view.setUint32(position, value, true);
+                    position += 4;
+                }
+            };
+            writeUint32s([sequence.length, nBlocks.starts.length, ...nBlocks.starts, ...nBlocks.sizes,
+                maskBlocks.starts.length, ...maskBlocks.starts, ...maskBlocks.sizes, 0]);
+
+            for (let pos = 0; pos < sequence.length; pos++) {
+                const code = Math.max(0, 'TCAG'.indexOf(sequence[pos].toUpperCase()));
+                bytes[position + Math.floor(pos / 4)] |= code << (6 - 2 * (pos % 4));
+            }
+            position += Math.ceil(sequence.length / 4);
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Check that an interval lies on a known chromosome
+     * @private
+     */
+    _checkInterval(chromosomes, chrom, start, end) {
+        if (chromosomes[chrom] === undefined) {
+            throw new Error(`Chromosome ${chrom} is not in the genome`);
+        }
+        if (!(start >= 0 && start <= end && end <= chromosomes[chrom])) {
+            throw new Error(`Interval ${chrom}:${start}-${end} is outside ${chrom} (length ${chromosomes[chrom]})`);
+        }
+    }
+
+    /**
+     * Random access to the bytes of a path (Node.js), a byte array, a Blob or
+     * a reader function, as an async function (offset, length) => Uint8Array.
+     * A path is opened on the first read and stays open until the reader's
+     * close() is called; close() does nothing for other sources.
+     * @private
+     */
+    _byteReader(source) {
+        let read;
+        let close = async () => {};
+        if (typeof source === 'function') {
+            read = async (offset, length) => source(offset, length);
+        } else if (typeof source === 'string') {
+            const fs = require('fs');
+            let opened = null;
+            read = async (offset, length) => {
+                opened = opened || fs.promises.open(source, 'r');
+                const handle = await opened;
+                const buffer = Buffer.alloc(length);
+                const { bytesRead } = await handle.read(buffer, 0, length, offset);
+                return buffer.subarray(0, bytesRead);
+            };
+            close = async () => {
+                if (opened) {
+                    const handle = await opened;
+                    opened = null;
+                    await handle.close();
+                }
+            };
+        } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            read = async (offset, length) => new Uint8Array(await source.slice(offset, offset + length).arrayBuffer());
+        } else {
+            const bytes = source instanceof ArrayBuffer ? new Uint8Array(source) : source;
+            read = async (offset, length) => bytes.subarray(offset, offset + length);
+        }
+        read.close = close;
+        return read;
+    }
+
+    /**
+     * Bytes of ASCII text to a string
+     * @private
+     */
+    _decodeAscii(bytes) {
+        let text = '';
+        for (let start = 0; start < bytes.length; start += 8192) {
+            text += String.fromCharCode.apply(null, bytes.subarray(start, start + 8192));
+        }
+        return text;
+    }
+
+    // =====================================================
+    // MATHEMATICAL UTILITIES
+    // =====================================================
+
+    /**
+     * Numerically stable log addition in base 2
+     * @param {number} x - First log value
+     * @param {number} y - Second log value
+     * @returns {number} - log2(2^x + 2^y)
+     */
+    logAddExp2(x, y) {
+        if (x === -Infinity && y === -Infinity) {
+            return -Infinity;
+        }
+        if (x === Infinity || y === Infinity) {
+            return Infinity;
+        }
+
+        const vmax = Math.max(x, y);
+        const vmin = Math.min(x, y);
+        return vmax + Math.log2(Math.pow(2, vmin - vmax) + 1);
+    }
+
+    /**
+     * Calculate binned median approximation
+     * @param {Array<number>} values - Array of values
+     * @param {number} minVal - Minimum value
+     * @param {number} maxVal - Maximum value
+     * @param {Array<number>} counts - Count weights
+     * @param {number} nBins - Number of bins
+     * @returns {number} - Approximate median
+     */
+    binnedMedian(values, minVal, maxVal, counts, nBins = 1000) {
+        const bins = Array(nBins).fill().map(() => [0, 0]); // [count, sum]
+        let totalWeight = 0;
+        const range = maxVal - minVal;
+
+        // Handle case where all values are the same
+        if (range === 0) {
+            return minVal;
+        }
+
+        for (let i = 0; i < values.length; i++) {
+            const binIdx = Math.min(Math.floor((values[i] - minVal) / range * (nBins - 1)), nBins - 1);
+            bins[binIdx][0] += counts[i];
+            bins[binIdx][1] += values[i] * counts[i];
+            totalWeight += counts[i];
+        }
+
+        const halfway = totalWeight / 2;
+        let cumCount = 0;
+
+        for (let i = 0; i < nBins; i++) {
+            cumCount += bins[i][0];
+            if (cumCount >= halfway) {
+                return bins[i][0] > 0 ? bins[i][1] / bins[i][0] : minVal;
+            }
+        }
+
+        return maxVal;
+    }
+
+    /**
+     * Benjamini-Hochberg q-values
+     * @param {Array<number>} pValues - Array of p-values
+     * @param {number} numTests - Total number of tests (defaults to pValues.length)
+     * @returns {Array<number>} - q-values in the same order as pValues
+     */
+    benjaminiHochberg(pValues, numTests = pValues.length) {
+        const order = pValues.map((_, idx) => idx).sort((a, b) => pValues[b] - pValues[a]);
+        const qValues = Array(pValues.length).fill(1);
+        let minQ = 1;
+
+        // Walk from the largest p-value down, keeping q monotone
+        for (let rank = pValues.length; rank >= 1; rank--) {
+            const idx = order[pValues.length - rank];
+            minQ = Math.min(minQ, pValues[idx] * numTests / rank);
+            qValues[idx] = minQ;
+        }
+
+        return qValues;
+    }
+
+    /**
+     * Estimate the proportion of true null hypotheses (Storey's pi0)
+     * @param {Array<number>} pValues - Array of p-values
+     * @param {Array<number>} counts - Number of tests with each p-value
+     * @param {number} lambda - Tuning parameter; p-values above it are assumed null
+     * @returns {number} - pi0 estimate in [0, 1]
+     */
+    estimatePi0(pValues, counts = Array(pValues.length).fill(1), lambda = 0.5) {
+        const { observed, expected } = this._pi0Terms(pValues, counts, lambda);
+        return expected > 0 ? Math.min(1, observed / expected) : 1;
+    }
+
+    /**
+     * Observed and expected (all null) number of p-values above lambda. The
+     * null fraction above lambda is taken from the largest p-value at or below
+     * lambda, which keeps the estimate honest for discrete p-values.
+     * @private
+     */
+    _pi0Terms(pValues, counts, lambda) {
+        let total = 0, observed = 0, largestBelow = 0;
+
+        for (let i = 0; i < pValues.length; i++) {
+            total += counts[i];
+            if (pValues[i] > lambda) {
+                observed += counts[i];
+            } else {
+                largestBelow = Math.max(largestBelow, pValues[i]);
+            }
+        }
+
+        return { observed, expected: total * (1 - largestBelow) };
+    }
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param {number} x - Argument
+     * @returns {number} - ln(Gamma(x))
+     */
+    logGamma(x) {
+        if (x < 0.5) {
+            // Reflection formula
+            return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+        }
+
+        const coefficients = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        x -= 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) {
+            sum += coefficients[i] / (x + i);
+        }
+        const t = x + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * One-sided Fisher's exact test for enrichment of positives in the primary set
+     * @param {number} tp - Primary sequences with the feature
+     * @param {number} fn - Primary sequences without it
+     * @param {number} fp - Control sequences with the feature
+     * @param {number} tn - Control sequences without it
+     * @returns {number} - P(at least tp primary sequences with the feature)
+     */
+    fisherExactTest(tp, fn, fp, tn) {
+        return Math.exp(this._logFisherExact(tp, fn, fp, tn));
+    }
+
+    /**
+     * One-sided binomial test
+     * @param {number} k - Successes
+     * @param {number} n - Trials
+     * @param {number} p - Success probability
+     * @returns {number} - P(X >= k) for X ~ Binomial(n, p)
+     */
+    binomialTest(k, n, p) {
+        return Math.exp(this._logBinomialSurvival(k, n, p));
+    }
+
+    /**
+     * Natural log of the one-sided Fisher's exact test p-value (hypergeometric tail)
+     * @private
+     */
+    _logFisherExact(tp, fn, fp, tn) {
+        const primary = tp + fn;
+        const positives = tp + fp;
+        const total = primary + fp + tn;
+        const logDenominator = this._logChoose(total, primary);
+
+        // Terms fall off past the mode, so the tail stops once they are negligible
+        const mode = Math.floor((positives + 1) * (primary + 1) / (total + 2));
+        let logP = -Infinity;
+        for (let x = tp; x <= Math.min(positives, primary); x++) {
+            const term = this._logChoose(positives, x) + this._logChoose(total - positives, primary - x) - logDenominator;
+            logP = this._logAddExp(logP, term);
+            if (x > mode && term < logP - 40) break;
+        }
+        return Math.min(0, logP);
+    }
+
+    /**
+     * Natural log of P(X >= k) for X ~ Binomial(n, p)
+     * @private
+     */
+    _logBinomialSurvival(k, n, p) {
+        if (k <= 0) return 0;
+        if (k > n || p <= 0) return -Infinity;
+        if (p >= 1) return 0;
+
+        const mode = Math.floor((n + 1) * p);
+        let logP = -Infinity;
+        for (let x = k; x <= n; x++) {
+            const term = this._logChoose(n, x) + x * Math.log(p) + (n - x) * Math.log1p(-p);
+            logP = this._logAddExp(logP, term);
+            if (x > mode && term < logP - 40) break;
+        }
+        return Math.min(0, logP);
+    }
+
+    /**
+     * Natural log of the binomial coefficient
+     * @private
+     */
+    _logChoose(n, k) {
+        return this.logGamma(n + 1) - this.logGamma(k + 1) - this.logGamma(n - k + 1);
+    }
+
+    /**
+     * Natural-log version of logAddExp2
+     * @private
+     */
+    _logAddExp(x, y) {
+        if (x === -Infinity) return y;
+        if (y === -Infinity) return x;
+        const vmax = Math.max(x, y);
+        return vmax + Math.log1p(Math.exp(Math.min(x, y) - vmax));
+    }
+
+    // =====================================================
+    // FIMO ALGORITHM
+    // =====================================================
+
+    /**
+     * Calculate PWM to p-value mapping using dynamic programming
+     * @param {Array<Array<number>>} logPwm - Log PWM matrix
+     * @param {number} binSize - Score discretization bin size
+     * @param {Array<number>} background - Background letter frequencies (default: uniform)
+     * @returns {Object} - {smallest: offset, logPdf: p-value array}
+     */
+    pwmToMapping(logPwm, binSize, background = null) {
+        const [numChars, length] = [logPwm.length, logPwm[0].length];
+        const logBg = (background || Array(numChars).fill(1 / numChars)).map(p => Math.log2(p));
+
+        // Convert to integer PWM
+        const intLogPwm = logPwm.map(row => row.map(val => Math.round(val / binSize)));
+
+        // Calculate score range
+        let smallest = Infinity, largest = -Infinity;
+        let minCsum = 0, maxCsum = 0;
+
+        for (let pos = 0; pos < length; pos++) {
+            let posMin = Infinity, posMax = -Infinity;
+            
+            for (let char = 0; char < numChars; char++) {
+                posMin = Math.min(posMin, intLogPwm[char][pos]);
+                posMax = Math.max(posMax, intLogPwm[char][pos]);
+            }
+            
+            minCsum += posMin;
+            maxCsum += posMax;
+            smallest = Math.min(smallest, minCsum);
+            largest = Math.max(largest, maxCsum);
+        }
+
+        largest += length;
+        const arraySize = largest - smallest + 1;
+
+        // Dynamic programming to calculate score distribution
+        let oldLogPdf = Array(arraySize).fill(-Infinity);
+        let newLogPdf = Array(arraySize).fill(-Infinity);
+
+        // Initialize with first position
+        for (let char = 0; char < numChars; char++) {
+            const idx = intLogPwm[char][0] - smallest;
+            oldLogPdf[idx] = this.logAddExp2(oldLogPdf[idx], logBg[char]);
+        }
+
+        // Process remaining positions
+        for (let pos = 1; pos < length; pos++) {
+            newLogPdf.fill(-Infinity);
+            
+            for (let j = 0; j < arraySize; j++) {
+                if (oldLogPdf[j] !== -Infinity) {
+                    for (let char = 0; char < numChars; char++) {
+                        const newIdx = j + intLogPwm[char][pos];
+                        if (newIdx >= 0 && newIdx < arraySize) {
+                            newLogPdf[newIdx] = this.logAddExp2(
+                                newLogPdf[newIdx], 
+                                logBg[char] + oldLogPdf[j]
+                            );
+                        }
+                    }
+                }
+            }
+            
+            [oldLogPdf, newLogPdf] = [newLogPdf, oldLogPdf];
+        }
+
+        // Convert to cumulative (1 - CDF)
+        for (let i = arraySize - 2; i >= 0; i--) {
+            oldLogPdf[i] = this.logAddExp2(oldLogPdf[i], oldLogPdf[i + 1]);
+        }
+
+        return { smallest, logPdf: oldLogPdf };
+    }
+
+    /**
+     * FIMO algorithm - Find Individual Motif Instances
+     * @param {Object} motifs - Dictionary of motif names to PWMs, or a MemeFile
+     * @param {Array<string|Object>} sequences - Array of sequences, either strings
+     *   or named records {name, sequence} as returned by readFasta/readFastq
+     * @param {Object} options - Algorithm options; see the README for the full list, including
+     *   the hit post-processing options bestStrand, nonOverlapping, topK, bestSite,
+     *   maxStoredScores and sort
+     * @returns {Array<Object>} - Array of hit objects for each motif
+     */
+    fimo(motifs, sequences, options = {}) {
+        const records = this._sequenceRecords(sequences);
+        const setup = this._fimoSetup(motifs, records, options);
+        const { results, scoreDistributions } = this._fimoScan(this._motifList(motifs), records, setup, 0);
+        return this._finishFimo(results, scoreDistributions, options);
+    }
+
+    /**
+     * Resolve the FIMO options shared by every part of a scan: alphabet,
+     * strands, background and score settings. The result is plain data so it
+     * can be sent to workers.
+     * @private
+     */
+    _fimoSetup(motifs, records, options) {
+        const {
+            alphabet = null,
+            binSize = 0.1,
+            eps = 0.0001,
+            threshold = 0.0001,
+            reverseComplement = null,
+            background = null
+        } = options;
+
+        // A MemeFile brings its own alphabet; other motifs are DNA or protein by their number of rows
+        let alpha;
+        if (alphabet || this._isMemeFile(motifs)) {
+            alpha = this.resolveAlphabet(alphabet || motifs.alphabet);
+        } else {
+            const [first] = this._motifList(motifs);
+            alpha = (first && this._alphabetForSize(first.pwm.length)) || this.resolveAlphabet('DNA');
+        }
+        const bothStrands = this._useReverseComplement(reverseComplement, alpha);
+        const bg = this._resolveBackground(background, alpha,
+            records.map(record => record.sequence), bothStrands);
+        const markov = this._markovBackground(background, alpha);
+
+        return { alpha, bothStrands, bg, markov, binSize, eps, logThreshold: Math.log2(threshold) };
+    }
+
+    /**
+     * Scan records with a list of motifs, without q-values. Sequence indices
+     * start at firstIndex so that chunks of a larger scan keep their numbering.
+     * @private
+     */
+    _fimoScan(motifList, records, setup, firstIndex) {
+        const { alpha, bg } = setup;
+        const models = motifList.map(motif => this._scoringModel(motif, alpha, bg, setup));
+
+        // Encode each sequence once and scan it with every motif
+        for (let idx = 0; idx < records.length; idx++) {
+            const { name: seqName, sequence } = records[idx];
+            const codes = this._scanCodes(this.encodeSequence(sequence, alpha), setup);
+
+            for (const model of models) {
+                for (const strandModel of model.strands) {
+                    this._scanEncoded(codes[strandModel.strand], sequence, firstIndex + idx, seqName, model, strandModel, alpha);
+                }
+            }
+        }
+
+        const results = models.map(model => ({
+            motif_name: model.name,
+            motif_alt_id: model.altName,
+            hits: model.hits,
+            num_tests: model.scoreCounts.reduce((a, b) => a + b, 0)
+        }));
+        const scoreDistributions = models.map(model => ({
+            pValues: model.pValues,
+            counts: model.scoreCounts
+        }));
+        return { results, scoreDistributions };
+    }
+
+    /**
+     * Attach q-values to scanned results, apply the q-value threshold and
+     * post-process the hits
+     * @private
+     */
+    _finishFimo(results, scoreDistributions, options) {
+        const {
+            qValueMethod = 'storey',
+            qValueScope = 'motif',
+            qThreshold = null,
+            pi0Lambda = 0.5,
+            bestStrand = false,
+            nonOverlapping = false,
+            topK = null,
+            bestSite = false,
+            maxStoredScores = null,
+            sort = null
+        } = options;
+        if (sort !== null && sort !== 'pValue' && sort !== 'position') {
+            throw new Error(`Unknown FIMO sort order: ${sort}`);
+        }
+
+        this._assignQValues(results, scoreDistributions, qValueMethod, qValueScope, pi0Lambda);
+
+        if (qThreshold !== null) {
+            for (const result of results) {
+                result.hits = result.hits.filter(hit => hit.q_value <= qThreshold);
+            }
+        }
+
+        const limit = bestSite ? 1 : topK;
+        if (bestStrand || nonOverlapping || limit !== null) {
+            for (const result of results) {
+                result.hits = this._selectHits(result.hits, bestStrand, nonOverlapping, limit);
+            }
+        }
+
+        // Like FIMO's --max-stored-scores, keep the best hits over all motifs
+        const allHits = [].concat(...results.map(result => result.hits));
+        if (maxStoredScores !== null && allHits.length > maxStoredScores) {
+            const kept = new Set(allHits.sort(this._compareHits).slice(0, maxStoredScores));
+            for (const result of results) {
+                result.hits = result.hits.filter(hit => kept.has(hit));
+            }
+        }
+
+        if (sort !== null) {
+            const byPosition = (a, b) => a.sequence_idx - b.sequence_idx || a.start - b.start ||
+                (a.strand === b.strand ? 0 : a.strand === '+' ? -1 : 1);
+            for (const result of results) {
+                result.hits.sort(sort === 'pValue' ? this._compareHits : byPosition);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Hits of one motif reduced per sequence: the better strand at each start,
+     * then greedily by p-value the hits not overlapping a better one, then the
+     * best limit hits. The hits keep their order.
+     * @private
+     */
+    _selectHits(hits, bestStrand, nonOverlapping, limit) {
+        const bySequence = new Map();
+        for (const hit of hits) {
+            if (!bySequence.has(hit.sequence_idx)) bySequence.set(hit.sequence_idx, []);
+            bySequence.get(hit.sequence_idx).push(hit);
+        }
+
+        const kept = new Set();
+        for (let candidates of bySequence.values()) {
+            if (bestStrand) {
+                const byStart = new Map();
+                for (const hit of candidates) {
+                    const other = byStart.get(hit.start);
+                    if (!other || this._compareHits(hit, other) < 0) byStart.set(hit.start, hit);
+                }
+                candidates = Array.from(byStart.values());
+            }
+
+            candidates.sort(this._compareHits);
+            if (nonOverlapping) {
+                const covered = new Set();
+                candidates = candidates.filter(hit => {
+                    for (let pos = hit.start; pos < hit.end; pos++) {
+                        if (covered.has(pos)) return false;
+                    }
+                    for (let pos = hit.start; pos < hit.end; pos++) covered.add(pos);
+                    return true;
+                });
+            }
+            if (limit !== null) {
+                candidates = candidates.slice(0, limit);
+            }
+            candidates.forEach(hit => kept.add(hit));
+        }
+        return hits.filter(hit => kept.has(hit));
+    }
+
+    /**
+     * Order hits by p-value, then score, then position with '+' first
+     * @private
+     */
+    _compareHits(a, b) {
+        return a.p_value - b.p_value || b.score - a.score || a.sequence_idx - b.sequence_idx ||
+            a.start - b.start || (a.strand === b.strand ? 0 : a.strand === '+' ? -1 : 1);
+    }
+
+    /**
+     * FIMO over a FASTA stream, yielding hits as they are found. Each record is
+     * scanned in windows of windowSize starts that overlap by the longest motif
+     * width minus one, so memory stays bounded however long a record is, and
+     * every window is reported exactly once.
+     * q-values need every p-value of the run, so streamed hits carry none.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {AsyncIterable|Iterable|ReadableStream|string} fasta - FASTA text, or chunks of
+     *   it as strings or bytes, e.g. a Node.js readable stream or a browser ReadableStream
+     * @param {Object} options - fimo() options (except q-value options, hit post-processing
+     *   and the 'sequences' background), plus:
+     * @param {number} options.windowSize - Window starts scanned at a time (default: 1000000)
+     * @param {boolean} options.maskLowercase - Treat lowercase letters as N, as in readFasta
+     * @returns {AsyncGenerator<Object>} - Hits, each with motif_name and motif_alt_id,
+     *   in sequence order window by window
+     */
+    async *fimoStream(motifs, fasta, options = {}) {
+        const { windowSize = 1000000, maskLowercase = false } = options;
+        if (options.background === 'sequences') {
+            throw new Error("Background 'sequences' needs every sequence up front, so it cannot be streamed");
+        }
+        const postProcessing = ['bestStrand', 'nonOverlapping', 'topK', 'bestSite', 'maxStoredScores', 'sort']
+            .filter(option => options[option] !== undefined && options[option] !== null && options[option] !== false);
+        if (postProcessing.length > 0) {
+            throw new Error(`fimoStream yields hits as they are found, so it cannot apply ${postProcessing.join(', ')}`);
+        }
+
+        const setup = this._fimoSetup(motifs, [], options);
+        const alpha = setup.alpha;
+        const models = this._motifList(motifs).map(motif => this._scoringModel(motif, alpha, setup.bg, setup));
+        const overlap = Math.max(0, ...models.map(model => model.width - 1));
+
+        let seqIdx = -1;
+        let seqName = null;
+        let pending = '';
+        let offset = 0;
+
+        // Scan the starts [offset, offset + nStarts) of the current record
+        const scanWindow = (window, nStarts) => {
+            const codes = this._scanCodes(this.encodeSequence(window, alpha), setup);
+            const hits = [];
+            for (const model of models) {
+                for (const strandModel of model.strands) {
+                    this._scanEncoded(codes[strandModel.strand], window, seqIdx, seqName, model, strandModel, alpha, offset, nStarts);
+                }
+                for (const hit of model.hits) {
+                    hits.push({ motif_name: model.name, motif_alt_id: model.altName, ...hit });
+                }
+                model.hits = [];
+            }
+            return hits;
+        };
+
+        for await (const event of this._fastaEvents(fasta)) {
+            if (event.header !== undefined) {
+                if (seqIdx >= 0) {
+                    yield* scanWindow(pending, Infinity);
+                }
+                seqIdx++;
+                seqName = this._parseSequenceHeader(event.header).name;
+                pending = '';
+                offset = 0;
+                continue;
+            }
+
+            pending += maskLowercase ? event.sequence.replace(/[a-z]/g, 'N') : event.sequence;
+            while (pending.length >= windowSize + overlap) {
+                yield* scanWindow(pending.slice(0, windowSize + overlap), windowSize);
+                pending = pending.slice(windowSize);
+                offset += windowSize;
+            }
+        }
+
+        if (seqIdx >= 0) {
+            yield* scanWindow(pending, Infinity);
+        }
+    }
+
+    /**
+     * FIMO on genomic intervals such as ChIP-seq peaks. Each interval's
+     * sequence is fetched from the genome and hits are reported in genome
+     * coordinates, ready for genome browsers. Hits in overlapping intervals
+     * are reported once per interval.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {string|Array<Object>} intervals - BED content, or intervals {chrom, start, end, name}
+     *   as returned by readBed
+     * @param {Object} genome - Genome from openIndexedFasta or openTwoBit
+     * @param {Object} options - fimo() options, plus maskLowercase to treat soft-masked bases as N
+     * @returns {Promise<Array<Object>>} - Results as from fimo(); hits carry chrom, interval_name and
+     *   genomic start/end (0-based, half-open), sequence_name is the chromosome and sequence_idx
+     *   the interval's index
+     */
+    async fimoIntervals(motifs, intervals, genome, options = {}) {
+        if (typeof intervals === 'string') {
+            intervals = this.readBed(intervals);
+        }
+
+        const records = [];
+        for (const { chrom, start, end, name } of intervals) {
+            const sequence = await genome.fetch(chrom, start, end);
+            records.push({
+                name: name || `${chrom}:${start}-${end}`,
+                sequence: options.maskLowercase ? sequence.replace(/[a-z]/g, 'N') : sequence
+            });
+        }
+
+        const results = this.fimo(motifs, records, options);
+        for (const result of results) {
+            for (const hit of result.hits) {
+                const interval = intervals[hit.sequence_idx];
+                hit.sequence_name = interval.chrom;
+                hit.start += interval.start;
+                hit.end += interval.start;
+                hit.chrom = interval.chrom;
+                hit.interval_name = records[hit.sequence_idx].name;
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Iterate the chunks of a string, an (async) iterable or a ReadableStream
+     * without async iteration support
+     * @private
+     */
+    async *_streamChunks(input) {
+        if (typeof input === 'string') {
+            yield input;
+        } else if (input && typeof input.getReader === 'function' && !input[Symbol.asyncIterator]) {
+            const reader = input.getReader();
+            try {
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    yield chunk.value;
+                }
+            } finally {
+                reader.releaseLock();
+            }
+        } else {
+            yield* input;
+        }
+    }
+
+    /**
+     * Turn FASTA chunks into {header} and {sequence} events, line by line
+     * @private
+     */
+    async *_fastaEvents(fasta) {
+        const decoder = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
+        let partial = '';
+        let lineNumber = 0;
+        let inRecord = false;
+
+        const lineEvent = rawLine => {
+            lineNumber++;
+            const line = rawLine.trim();
+            if (line.startsWith('>')) {
+                inRecord = true;
+                return { header: line.slice(1) };
+            }
+            if (line === '' || line.startsWith(';')) {
+                return null;
+            }
+            if (!inRecord) {
+                throw new Error(`FASTA line ${lineNumber}: sequence data before the first '>' header`);
+            }
+            return { sequence: line.replace(/\s+/g, '') };
+        };
+
+        for await (const chunk of this._streamChunks(fasta)) {
+            const text = typeof chunk === 'string' ? chunk
+                : (decoder ? decoder.decode(chunk, { stream: true }) : String(chunk));
+            const lines = (partial + text).split('\n');
+            partial = lines.pop();
+            for (const line of lines) {
+                const event = lineEvent(line);
+                if (event) yield event;
+            }
+        }
+
+        const event = lineEvent(partial + (decoder ? decoder.decode() : ''));
+        if (event) yield event;
+    }
+
+    /**
+     * Turn a background option into 0-order letter frequencies. Accepts null or
+     * 'uniform', an array of frequencies, an object from readBackground (whose
+     * higher orders _markovBackground reads), or 'sequences' to estimate them
+     * from the scanned sequences.
+     * @private
+     */
+    _resolveBackground(background, alpha, sequences = null, reverseComplement = false) {
+        const symbols = alpha.symbols;
+        let frequencies;
+
+        if (background === null || background === 'uniform') {
+            return Array(symbols.length).fill(1 / symbols.length);
+        } else if (Array.isArray(background)) {
+            frequencies = background.slice();
+        } else if (background && Array.isArray(background.frequencies)) {
+            frequencies = background.frequencies.slice();
+        } else if (background === 'sequences') {
+            if (!sequences) {
+                throw new Error("Background 'sequences' requires sequences to estimate from");
+            }
+
+            // One pseudocount per letter keeps every frequency positive
+            const charIdx = this._symbolIndex(alpha);
+            frequencies = Array(symbols.length).fill(1);
+            for (const sequence of sequences) {
+                for (let i = 0; i < sequence.length; i++) {
+                    const idx = charIdx.get(sequence[i]);
+                    if (idx !== undefined && idx >= 0) frequencies[idx]++;
+                }
+            }
+
+            // Average both strands when scanning both, as fasta-get-markov does
+            if (reverseComplement) {
+                frequencies = frequencies.map((freq, idx) =>
+                    freq + frequencies[symbols.indexOf(alpha.complements[symbols[idx]])]);
+            }
+        } else {
+            throw new Error(`Unknown background: ${background}`);
+        }
+
+        if (frequencies.length !== symbols.length || frequencies.some(freq => !(freq > 0))) {
+            throw new Error('Background frequencies must be positive, one per alphabet character');
+        }
+
+        const total = frequencies.reduce((a, b) => a + b, 0);
+        return frequencies.map(freq => freq / total);
+    }
+
+    /**
+     * Conditional probabilities of a higher-order readBackground object, or
+     * null for any other background. logProbs holds log2 P(letter | context)
+     * for every context of 0 to order letters, indexed like the codes of
+     * _markovCodes.
+     * @private
+     */
+    _markovBackground(background, alpha) {
+        if (!background || !background.kmers || !(background.order > 0)) {
+            return null;
+        }
+
+        const { order, kmers } = background;
+        const symbols = alpha.symbols;
+        const numChars = symbols.length;
+        const key = kmer => alpha.caseSensitive ? kmer : kmer.toUpperCase();
+        const logProbs = [];
+        for (let length = 0; length <= order; length++) {
+            for (let context = 0; context < Math.pow(numChars, length); context++) {
+                let prefix = '';
+                for (let pos = 0, rest = context; pos < length; pos++, rest = Math.floor(rest / numChars)) {
+                    prefix = symbols[rest % numChars] + prefix;
+                }
+                const probs = symbols.map(sym => kmers[key(prefix + sym)]);
+                const missing = symbols.find((sym, char) => !(probs[char] > 0));
+                if (missing !== undefined) {
+                    throw new Error(`Order-${order} background needs a positive probability for ${prefix + missing}`);
+                }
+                const total = probs.reduce((a, b) => a + b, 0);
+                probs.forEach(prob => logProbs.push(Math.log2(prob / total)));
+            }
+        }
+        return { order, logProbs: Float64Array.from(logProbs) };
+    }
+
+    /**
+     * Normalize FIMO input to named records; bare strings are named by their index
+     * @private
+     */
+    _sequenceRecords(sequences) {
+        return sequences.map((entry, idx) => {
+            if (typeof entry === 'string') {
+                return { name: String(idx), sequence: entry };
+            }
+            if (entry && typeof entry.sequence === 'string') {
+                return { name: entry.name !== undefined ? String(entry.name) : String(idx), sequence: entry.sequence };
+            }
+            throw new Error(`Sequence ${idx} is neither a string nor a {name, sequence} record`);
+        });
+    }
+
+    /**
+     * Attach q_value to every hit, either per motif or over all motifs.
+     * Every scanned window (both strands) counts as a test.
+     * @private
+     */
+    _assignQValues(results, scoreDistributions, method, scope, pi0Lambda) {
+        if (method !== 'storey' && method !== 'bh') {
+            throw new Error(`Unknown q-value method: ${method}`);
+        }
+
+        let groups;
+        if (scope === 'motif') {
+            groups = results.map((_, idx) => [idx]);
+        } else if (scope === 'global') {
+            groups = [results.map((_, idx) => idx)];
+        } else {
+            throw new Error(`Unknown q-value scope: ${scope}`);
+        }
+
+        for (const group of groups) {
+            const hits = [].concat(...group.map(idx => results[idx].hits));
+            const numTests = group.reduce((sum, idx) => sum + results[idx].num_tests, 0);
+
+            let pi0 = 1;
+            if (method === 'storey') {
+                let observed = 0, expected = 0;
+                for (const idx of group) {
+                    const terms = this._pi0Terms(scoreDistributions[idx].pValues,
+                        scoreDistributions[idx].counts, pi0Lambda);
+                    observed += terms.observed;
+                    expected += terms.expected;
+                }
+                pi0 = expected > 0 ? Math.min(1, observed / expected) : 1;
+            }
+
+            const qValues = this.benjaminiHochberg(hits.map(hit => hit.p_value),
+                Math.max(numTests, hits.length));
+            hits.forEach((hit, idx) => {
+                hit.q_value = pi0 * qValues[idx];
+            });
+        }
+    }
+
+    /**
+     * Everything needed to scan with one motif: integer score matrices for
+     * each strand, the p-value of every integer score and the score threshold.
+     * Score matrices are flat, position-major, and indexed by the codes of
+     * _scanCodes, stride codes per position.
+     * @private
+     */
+    _scoringModel({ name, altName, pwm }, alpha, bg, { binSize, eps, logThreshold, bothStrands, markov = null }) {
+        if (pwm.length !== alpha.symbols.length) {
+            throw new Error(`Motif ${name} has ${pwm.length} rows but alphabet ${alpha.name} has ${alpha.symbols.length} letters`);
+        }
+
+        // The reverse strand is the reverse-complemented motif on the forward
+        // sequence, so that hits keep forward-strand coordinates
+        let stride, strandMatrices, mapping;
+        if (markov) {
+            stride = markov.logProbs.length + 1;
+            strandMatrices = [['+', this._markovScoreMatrix(pwm, markov, eps, false)]];
+            if (bothStrands) {
+                strandMatrices.push(['-', this._markovScoreMatrix(pwm, markov, eps, true)]);
+            }
+        } else {
+            const logPwm = pwm.map((row, char) =>
+                row.map(val => Math.log2(val + eps) - Math.log2(bg[char]))
+            );
+            stride = alpha.symbols.length + 1;
+            strandMatrices = [['+', this._logOddsMatrix(logPwm)]];
+            if (bothStrands) {
+                strandMatrices.push(['-', this._logOddsMatrix(this.reverseComplement(logPwm, alpha))]);
+            }
+            mapping = this.pwmToMapping(logPwm, binSize, bg);
+        }
+
+        // Windows are scored with the same rounded matrix the null was built from,
+        // so every integer score indexes its p-value directly
+        const width = pwm[0].length;
+        const strands = strandMatrices.map(([strand, logOdds]) => ({
+            strand,
+            logOdds,
+            intPwm: Int32Array.from(logOdds, score => Math.round(score / binSize))
+        }));
+        if (markov) {
+            mapping = this._markovMapping(strands[0].intPwm, width, stride, markov, alpha.symbols.length);
+        }
+        const { smallest, logPdf } = mapping;
+        const pValues = Float64Array.from(logPdf, logP => Math.pow(2, logP));
+
+        const minScore = this._minScore(logPdf, smallest, logThreshold);
+        let lastBin = pValues.length - 1;
+        while (lastBin > 0 && pValues[lastBin] === 0) {
+            lastBin--;
+        }
+
+        return {
+            name,
+            altName,
+            width,
+            stride,
+            smallest,
+            logPdf,
+            pValues,
+            lastBin,
+            minScore,
+            strands,
+            hits: [],
+            // Scores of every scanned window, binned like pValues, for pi0 estimation
+            scoreCounts: new Float64Array(pValues.length)
+        };
+    }
+
+    /**
+     * Smallest integer score whose p-value is below 2^logThreshold, or
+     * Infinity when no score is
+     * @private
+     */
+    _minScore(logPdf, smallest, logThreshold) {
+        for (let i = 0; i < logPdf.length; i++) {
+            if (logPdf[i] < logThreshold) {
+                return i + smallest;
+            }
+        }
+        return Infinity;
+    }
+
+    /**
+     * Encoded sequence as scored on each strand. With a 0-order background
+     * both strands score the letter codes. With an order-k Markov background
+     * every letter is coded together with the up to k unambiguous letters
+     * before it, on the reverse strand the complemented letters after it,
+     * so that one matrix lookup conditions it on its context.
+     * @private
+     */
+    _scanCodes(codes, { alpha, bothStrands, markov }) {
+        if (!markov) {
+            return { '+': codes, '-': codes };
+        }
+        const numChars = alpha.symbols.length;
+        const complement = bothStrands
+            ? alpha.symbols.map(sym => alpha.symbols.indexOf(alpha.complements[sym])) : null;
+        return {
+            '+': this._markovCodes(codes, numChars, markov, null),
+            '-': complement ? this._markovCodes(codes, numChars, markov, complement) : null
+        };
+    }
+
+    /**
+     * Code every letter with its context: the code of a letter with a context
+     * of length L is the number of codes with shorter contexts, plus the
+     * context read as a base-numChars number times numChars, plus the letter.
+     * Ambiguous letters, which also break contexts, get the number of codes.
+     * Given complement, the sequence is coded as read on the reverse strand.
+     * @private
+     */
+    _markovCodes(codes, numChars, { order, logProbs }, complement) {
+        const ambiguous = logProbs.length;
+        const starts = [0];
+        for (let length = 0; length < order; length++) {
+            starts.push(starts[length] + Math.pow(numChars, length + 1));
+        }
+        const nContexts = Math.pow(numChars, order);
+
+        const n = codes.length;
+        const out = ambiguous < 65536 ? new Uint16Array(n) : new Uint32Array(n);
+        let context = 0;
+        let run = 0;
+        for (let step = 0; step < n; step++) {
+            const pos = complement ? n - 1 - step : step;
+            const code = codes[pos];
+            if (code >= numChars) {
+                out[pos] = ambiguous;
+                context = 0;
+                run = 0;
+                continue;
+            }
+            const letter = complement ? complement[code] : code;
+            const length = Math.min(run, order);
+            out[pos] = starts[length] + (context % Math.pow(numChars, length)) * numChars + letter;
+            context = (context * numChars + letter) % nContexts;
+            run++;
+        }
+        return out;
+    }
+
+    /**
+     * Log-odds matrix of a motif against an order-k Markov background, indexed
+     * by _markovCodes. A letter is conditioned on as much of its context as
+     * lies in the window, so a window's score does not depend on the letters
+     * around it. reversed lays the motif out for reverse strand codes.
+     * @private
+     */
+    _markovScoreMatrix(pwm, { order, logProbs }, eps, reversed) {
+        const numChars = pwm.length;
+        const width = pwm[0].length;
+        const stride = logProbs.length + 1;
+        const starts = [0];
+        for (let length = 0; length < order; length++) {
+            starts.push(starts[length] + Math.pow(numChars, length + 1));
+        }
+
+        const matrix = new Float64Array(width * stride);
+        for (let pos = 0; pos < width; pos++) {
+            const row = (reversed ? width - 1 - pos : pos) * stride;
+            let code = 0;
+            for (let length = 0; length <= order; length++) {
+                const used = Math.min(length, pos);
+                const nUsed = Math.pow(numChars, used);
+                for (let context = 0; context < Math.pow(numChars, length); context++) {
+                    const conditional = starts[used] + (context % nUsed) * numChars;
+                    for (let char = 0; char < numChars; char++, code++) {
+                        matrix[row + code] = Math.log2(pwm[char][pos] + eps) - logProbs[conditional + char];
+                    }
+                }
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * pwmToMapping for an order-k Markov background: the distribution of the
+     * integer score of a window whose letters follow the Markov chain, each
+     * conditioned on the letters before it in the window as it is scored
+     * @private
+     */
+    _markovMapping(intPwm, width, stride, { order, logProbs }, numChars) {
+        const starts = [0];
+        for (let length = 0; length < order; length++) {
+            starts.push(starts[length] + Math.pow(numChars, length + 1));
+        }
+
+        // Score range, as in pwmToMapping
+        let smallest = 0, largest = 0;
+        let minCsum = 0, maxCsum = 0;
+        for (let pos = 0; pos < width; pos++) {
+            let posMin = Infinity, posMax = -Infinity;
+            for (let code = pos * stride, end = code + stride - 1; code < end; code++) {
+                posMin = Math.min(posMin, intPwm[code]);
+                posMax = Math.max(posMax, intPwm[code]);
+            }
+            minCsum += posMin;
+            maxCsum += posMax;
+            smallest = Math.min(smallest, minCsum);
+            largest = Math.max(largest, maxCsum);
+        }
+        largest += width;
+        const arraySize = largest - smallest + 1;
+
+        // Score distribution of every context of the last min(pos, order) letters
+        let pdfs = [new Float64Array(arraySize)];
+        pdfs[0][-smallest] = 1;
+        for (let pos = 0; pos < width; pos++) {
+            const used = Math.min(pos, order);
+            const nNext = Math.pow(numChars, Math.min(pos + 1, order));
+            const nextPdfs = Array.from({ length: nNext }, () => new Float64Array(arraySize));
+            pdfs.forEach((pdf, context) => {
+                for (let char = 0; char < numChars; char++) {
+                    const code = starts[used] + context * numChars + char;
+                    const prob = Math.pow(2, logProbs[code]);
+                    const shift = intPwm[pos * stride + code];
+                    const nextPdf = nextPdfs[(context * numChars + char) % nNext];
+                    const first = Math.max(0, -shift);
+                    const last = Math.min(arraySize, arraySize - shift);
+                    for (let idx = first; idx < last; idx++) {
+                        nextPdf[idx + shift] += prob * pdf[idx];
+                    }
+                }
+            });
+            pdfs = nextPdfs;
+        }
+
+        // Convert to cumulative (1 - CDF)
+        const survival = new Float64Array(arraySize);
+        for (let i = arraySize - 1; i >= 0; i--) {
+            let total = i + 1 < arraySize ? survival[i + 1] : 0;
+            for (const pdf of pdfs) total += pdf[i];
+            survival[i] = total;
+        }
+        return { smallest, logPdf: Array.from(survival, prob => Math.log2(prob)) };
+    }
+
+    /**
+     * Score of the window of an encoded sequence starting at pos, with a flat
+     * score matrix of a _scoringModel strand
+     * @private
+     */
+    _windowScore(codes, pos, matrix, width, stride) {
+        let score = 0;
+        for (let motifPos = 0, row = 0; motifPos < width; motifPos++, row += stride) {
+            score += matrix[row + codes[pos + motifPos]];
+        }
+        return score;
+    }
+
+    /**
+     * Scan a sequence, coded by _scanCodes for the strand, with one strand of
+     * a motif, adding hits and window score counts to the motif's model. Only
+     * the first nStarts window starts are scanned, and reported positions are
+     * shifted by offset.
+     * @private
+     */
+    _scanEncoded(codes, sequence, seqIdx, seqName, model, strandModel, alpha, offset = 0, nStarts = Infinity) {
+        const { width, stride, smallest, pValues, lastBin, minScore, scoreCounts, hits } = model;
+        const { strand, logOdds, intPwm } = strandModel;
+        const maxBin = scoreCounts.length - 1;
+
+        for (let pos = 0, end = Math.min(codes.length - width, nStarts - 1); pos <= end; pos++) {
+            const score = this._windowScore(codes, pos, intPwm, width, stride);
+            const bin = score - smallest;
+            scoreCounts[bin < 0 ? 0 : (bin > maxBin ? maxBin : bin)]++;
+
+            if (score >= minScore) {
+                const site = this._canonicalCase(sequence.slice(pos, pos + width), alpha);
+
+                hits.push({
+                    sequence_idx: seqIdx,
+                    sequence_name: seqName,
+                    start: offset + pos,
+                    end: offset + pos + width,
+                    strand: strand,
+                    // Report the unrounded log-odds score
+                    score: this._windowScore(codes, pos, logOdds, width, stride),
+                    p_value: pValues[Math.min(bin, lastBin)],
+                    matched_sequence: strand === '+' ? site : this._reverseComplementString(site, alpha)
+                });
+            }
+        }
+    }
+
+    /**
+     * Reverse complement of a string in a complementable alphabet; ambiguous
+     * symbols map to the symbol for the complementary set, other characters
+     * are kept as-is
+     * @private
+     */
+    _reverseComplementString(sequence, alpha = this.resolveAlphabet('DNA')) {
+        const complement = this._complementMap(alpha);
+        let rc = '';
+        for (let i = sequence.length - 1; i >= 0; i--) {
+            rc += complement[sequence[i]] || sequence[i];
+        }
+        return rc;
+    }
+
+    /**
+     * Complement of every symbol of an alphabet, kept per alphabet object
+     * @private
+     */
+    _complementMap(alpha) {
+        this._complementMaps = this._complementMaps || new WeakMap();
+        if (this._complementMaps.has(alpha)) {
+            return this._complementMaps.get(alpha);
+        }
+
+        const complement = {};
+        for (const sym of alpha.symbols) {
+            complement[sym] = alpha.complements[sym];
+        }
+        for (const [sym, target] of Object.entries(alpha.aliases)) {
+            complement[sym] = alpha.complements[target];
+        }
+
+        // R = AG complements to Y = CT; self-complementary symbols such as N stay
+        const sorted = letters => letters.split('').sort().join('');
+        const ambiguousBySet = {};
+        for (const [sym, targets] of Object.entries(alpha.ambiguous)) {
+            if (!ambiguousBySet[sorted(targets)]) ambiguousBySet[sorted(targets)] = sym;
+        }
+        for (const [sym, targets] of Object.entries(alpha.ambiguous)) {
+            const set = sorted(targets.split('').map(target => alpha.complements[target] || target).join(''));
+            complement[sym] = set === sorted(targets) ? sym : (ambiguousBySet[set] || sym);
+        }
+        if (!alpha.caseSensitive) {
+            for (const [sym, comp] of Object.entries(complement)) {
+                complement[sym.toLowerCase()] = comp.toLowerCase();
+            }
+        }
+
+        this._complementMaps.set(alpha, complement);
+        return complement;
+    }
+
+    // =====================================================
+    // SCORE TRACKS
+    // =====================================================
+
+    /**
+     * Log-odds score of every window of every sequence, for each motif. The
+     * reverse track scores the reverse-complemented motif at the same window
+     * starts, so both tracks share forward-strand coordinates, as FIMO hits do.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {Array<string|Object>} sequences - Sequences, as for fimo()
+     * @param {Object} options - fimo() scoring options (alphabet, background, reverseComplement,
+     *   binSize, eps)
+     * @returns {Array<Object>} - Per motif {motif_name, motif_alt_id, tracks}, with one track per
+     *   sequence: {sequence_name, forward, reverse}. forward and reverse are Float64Arrays of
+     *   log-odds scores in bits, one per window start; reverse is null when only one strand is scanned.
+     */
+    scoreTracks(motifs, sequences, options = {}) {
+        const records = this._sequenceRecords(sequences);
+        const setup = this._fimoSetup(motifs, records, options);
+        const models = this._motifList(motifs).map(motif => this._scoringModel(motif, setup.alpha, setup.bg, setup));
+        const codesList = records.map(({ sequence }) => this._scanCodes(this.encodeSequence(sequence, setup.alpha), setup));
+
+        return models.map(model => ({
+            motif_name: model.name,
+            motif_alt_id: model.altName,
+            tracks: codesList.map((codes, idx) => {
+                const [forward, reverse = null] = model.strands.map(({ strand, logOdds }) =>
+                    this._scoreTrack(codes[strand], logOdds, model.width, model.stride));
+                return { sequence_name: records[idx].name, forward, reverse };
+            })
+        }));
+    }
+
+    /**
+     * Sequence-level features of each motif, summarised from its score tracks
+     * over both strands, as motifs x sequences matrices for machine learning:
+     * the best log-odds score, the number of sites below each p-value
+     * threshold (counted as FIMO counts hits) and a log-sum-exp occupancy,
+     * log2 of the summed likelihood ratio of every window.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {Array<string|Object>} sequences - Sequences, as for fimo()
+     * @param {Object} options - fimo() scoring options (alphabet, background, reverseComplement,
+     *   binSize, eps), plus:
+     * @param {Array<number>} options.thresholds - Site p-value thresholds to count hits at
+     *   (default: [0.001, 0.0001, 0.00001])
+     * @returns {Object} - {motifs, sequences, thresholds, maxScore, hitCounts, occupancy}: motifs
+     *   and sequences name the rows and columns; maxScore and occupancy are arrays of one
+     *   Float64Array row per motif, and hitCounts holds one such matrix per threshold. Sequences
+     *   shorter than a motif score -Infinity and count no hits.
+     */
+    motifFeatures(motifs, sequences, options = {}) {
+        const { thresholds = [0.001, 0.0001, 0.00001] } = options;
+        if (!Array.isArray(thresholds) || thresholds.some(threshold => !(threshold > 0 && threshold <= 1))) {
+            throw new Error('Feature thresholds must be p-values in (0, 1]');
+        }
+
+        const records = this._sequenceRecords(sequences);
+        const setup = this._fimoSetup(motifs, records, options);
+        const { alpha } = setup;
+        const motifList = this._motifList(motifs);
+        const codesList = records.map(({ sequence }) => this._scanCodes(this.encodeSequence(sequence, alpha), setup));
+        const { binSize } = setup;
+
+        const matrix = () => motifList.map(() => new Float64Array(records.length));
+        const maxScore = matrix();
+        const occupancy = matrix();
+        const hitCounts = thresholds.map(matrix);
+
+        motifList.forEach((motif, motifIdx) => {
+            const model = this._scoringModel(motif, alpha, setup.bg, setup);
+            const minScores = thresholds.map(threshold =>
+                this._minScore(model.logPdf, model.smallest, Math.log2(threshold)));
+            // Rounding moves a window's integer score by at most half a bin per
+            // column, so windows scoring below this cannot be hits
+            const minTrackScore = (Math.min(...minScores) - model.width / 2) * binSize - 1e-9;
+            const { width, stride } = model;
+
+            codesList.forEach((strandCodes, seqIdx) => {
+                let best = -Infinity;
+                const scores = [];
+                for (const { strand, logOdds, intPwm } of model.strands) {
+                    const codes = strandCodes[strand];
+                    const track = this._scoreTrack(codes, logOdds, width, stride);
+                    for (let pos = 0; pos < track.length; pos++) {
+                        if (track[pos] > best) best = track[pos];
+                        scores.push(track[pos]);
+
+                        // Hits are counted on the rounded scores FIMO thresholds
+                        if (track[pos] < minTrackScore) continue;
+                        const score = this._windowScore(codes, pos, intPwm, width, stride);
+                        minScores.forEach((minScore, idx) => {
+                            if (score >= minScore) hitCounts[idx][motifIdx][seqIdx]++;
+                        });
+                    }
+                }
+
+                let total = 0;
+                for (const score of scores) {
+                    total += Math.pow(2, score - best);
+                }
+                maxScore[motifIdx][seqIdx] = best;
+                occupancy[motifIdx][seqIdx] = scores.length > 0 ? best + Math.log2(total) : -Infinity;
+            });
+        });
+
+        return {
+            motifs: motifList.map(motif => motif.name),
+            sequences: records.map(record => record.name),
+            thresholds: thresholds.slice(),
+            maxScore,
+            hitCounts,
+            occupancy
+        };
+    }
+
+    /**
+     * Log-odds scores as a flat Float64Array, position-major with one extra
+     * letter code per position (scoring 0) for ambiguous symbols
+     * @private
+     */
+    _logOddsMatrix(logPwm) {
+        const numChars = logPwm.length;
+        const width = logPwm[0].length;
+        const stride = numChars + 1;
+        const matrix = new Float64Array(width * stride);
+        for (let pos = 0; pos < width; pos++) {
+            for (let char = 0; char < numChars; char++) {
+                matrix[pos * stride + char] = logPwm[char][pos];
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Score of every window start of an encoded sequence with a flat score matrix
+     * @private
+     */
+    _scoreTrack(codes, matrix, width, stride) {
+        const track = new Float64Array(Math.max(0, codes.length - width + 1));
+        for (let pos = 0; pos < track.length; pos++) {
+            track[pos] = this._windowScore(codes, pos, matrix, width, stride);
+        }
+        return track;
+    }
+
+    // =====================================================
+    // VARIANT EFFECTS
+    // =====================================================
+
+    /**
+     * Score how variants change motif binding. For each variant the reference
+     * and alternate alleles are built in their sequence context, every window
+     * overlapping the allele is scored on both strands with the FIMO model,
+     * and the best site of each allele is compared. Indels shift the windows
+     * downstream of the variant, and windows spanning a deletion's junction
+     * are scored too.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {Array<Object>} variants - Variants {id, sequence, position, ref, alt}: the reference
+     *   context, the 0-based position of the reference allele in it, and the alleles; an empty
+     *   allele or '-' is a pure insertion or deletion
+     * @param {Object} options - fimo() scoring options (alphabet, background, reverseComplement,
+     *   binSize, eps), plus:
+     * @param {number} options.threshold - Only report rows where either allele's best site has a
+     *   p-value at or below this (default: 1, every row)
+     * @returns {Array<Object>} - Rows in variant then motif order: {variant_idx, variant_id, ref,
+     *   alt, motif_name, motif_alt_id, ref_score, ref_p_value, ref_offset, ref_strand, ref_site,
+     *   the same for alt, score_delta, log_p_ratio}. Offsets are site starts relative to the variant position;
+     *   score_delta is alt minus ref in bits and log_p_ratio is ln(ref p-value / alt p-value), so
+     *   both are positive when the alternate allele binds better. An allele without a window has
+     *   null site fields and a p-value of 1.
+     */
+    scoreVariants(motifs, variants, options = {}) {
+        const threshold = options.threshold === undefined ? 1 : options.threshold;
+        const alleles = variants.map((variant, idx) => this._variantAlleles(variant, idx));
+        const setup = this._fimoSetup(motifs, alleles.map(allele => ({ sequence: allele.refSequence })),
+            { ...options, threshold: 1 });
+        const { alpha } = setup;
+        const models = this._motifList(motifs).map(motif => this._scoringModel(motif, alpha, setup.bg, setup));
+
+        const rows = [];
+        alleles.forEach((allele, variantIdx) => {
+            const refCodes = this._scanCodes(this.encodeSequence(allele.refSequence, alpha), setup);
+            const altCodes = this._scanCodes(this.encodeSequence(allele.altSequence, alpha), setup);
+            for (const model of models) {
+                const ref = this._bestVariantSite(refCodes, allele.refSequence, allele.position, allele.ref.length, model, alpha);
+                const alt = this._bestVariantSite(altCodes, allele.altSequence, allele.position, allele.alt.length, model, alpha);
+                if (Math.min(ref.p_value, alt.p_value) > threshold) continue;
+
+                rows.push({
+                    variant_idx: variantIdx,
+                    variant_id: allele.id,
+                    ref: allele.ref,
+                    alt: allele.alt,
+                    motif_name: model.name,
+                    motif_alt_id: model.altName,
+                    ref_score: ref.score,
+                    ref_p_value: ref.p_value,
+                    ref_offset: ref.offset,
+                    ref_strand: ref.strand,
+                    ref_site: ref.site,
+                    alt_score: alt.score,
+                    alt_p_value: alt.p_value,
+                    alt_offset: alt.offset,
+                    alt_strand: alt.strand,
+                    alt_site: alt.site,
+                    score_delta: ref.score === null || alt.score === null ? null : alt.score - ref.score,
+                    log_p_ratio: Math.log(ref.p_value) - Math.log(alt.p_value)
+                });
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * scoreVariants for VCF records, taking each variant's context from a
+     * genome. Multi-allelic records give one variant per alternate allele;
+     * symbolic alleles such as <DEL> and * are skipped.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {string|Array<Object>} vcf - VCF content, or variants as returned by readVcf
+     * @param {Object} genome - Genome from openIndexedFasta or openTwoBit
+     * @param {Object} options - scoreVariants() options, plus maskLowercase to treat soft-masked
+     *   bases as N
+     * @returns {Promise<Array<Object>>} - Rows as from scoreVariants(), with chrom and pos (1-based);
+     *   variant_id is the VCF ID, or chrom:pos:ref>alt without one
+     */
+    async scoreVcfVariants(motifs, vcf, genome, options = {}) {
+        if (typeof vcf === 'string') {
+            vcf = this.readVcf(vcf);
+        }
+        const flank = Math.max(...this._motifList(motifs).map(motif => motif.pwm[0].length)) - 1;
+
+        const variants = [];
+        const loci = [];
+        for (const { chrom, pos, id, ref, alts } of vcf) {
+            if (genome.chromosomes[chrom] === undefined) {
+                throw new Error(`Variant ${chrom}:${pos}: chromosome ${chrom} is not in the genome`);
+            }
+            const start = Math.max(0, pos - 1 - flank);
+            const end = Math.min(genome.chromosomes[chrom], pos - 1 + ref.length + flank);
+            let sequence = await genome.fetch(chrom, start, end);
+            if (options.maskLowercase) {
+                sequence = sequence.replace(/[a-z]/g, 'N');
+            }
+
+            for (const alt of alts) {
+                if (/[<>[\]*]/.test(alt)) continue;
+                variants.push({ id: id || `${chrom}:${pos}:${ref}>${alt}`, sequence, position: pos - 1 - start, ref, alt });
+                loci.push({ chrom, pos });
+            }
+        }
+
+        return this.scoreVariants(motifs, variants, options).map(row => ({
+            ...loci[row.variant_idx],
+            ...row
+        }));
+    }
+
+    /**
+     * Check a variant against its context and build both allele sequences
+     * @private
+     */
+    _variantAlleles({ id, sequence, position, ref, alt }, idx) {
+        const label = id !== undefined && id !== null ? String(id) : String(idx);
+        const allele = value => value === '-' ? '' : value;
+        ref = allele(ref);
+        alt = allele(alt);
+        if (typeof sequence !== 'string' || typeof ref !== 'string' || typeof alt !== 'string') {
+            throw new Error(`Variant ${label} needs a sequence, ref and alt`);
+        }
+        if (!Number.isInteger(position) || position < 0 || position + ref.length > sequence.length) {
+            throw new Error(`Variant ${label}: position ${position} is outside its sequence`);
+        }
+        if (sequence.slice(position, position + ref.length).toUpperCase() !== ref.toUpperCase()) {
+            throw new Error(`Variant ${label}: reference allele ${ref} does not match the sequence ` +
+                `(${sequence.slice(position, position + ref.length)})`);
+        }
+
+        return {
+            id: label,
+            position,
+            ref,
+            alt,
+            refSequence: sequence,
+            altSequence: sequence.slice(0, position) + alt + sequence.slice(position + ref.length)
+        };
+    }
+
+    /**
+     * Best site among the windows of an allele's sequence, coded by
+     * _scanCodes, that overlap the allele, or span the junction of an empty one
+     * @private
+     */
+    _bestVariantSite(strandCodes, sequence, position, alleleLength, model, alpha) {
+        const { width, stride, smallest, pValues, lastBin } = model;
+        const first = Math.max(0, position - width + 1);
+        const last = Math.min(sequence.length - width, position + alleleLength - 1);
+
+        let best = null;
+        for (const { strand, logOdds, intPwm } of model.strands) {
+            const codes = strandCodes[strand];
+            for (let pos = first; pos <= last; pos++) {
+                const score = this._windowScore(codes, pos, intPwm, width, stride);
+                if (best !== null && score < best.intScore) continue;
+
+                // Report the unrounded log-odds score, which also breaks ties
+                const siteScore = this._windowScore(codes, pos, logOdds, width, stride);
+                if (best === null || score > best.intScore || siteScore > best.score) {
+                    best = { intScore: score, score: siteScore, pos, strand };
+                }
+            }
+        }
+
+        if (best === null) {
+            return { score: null, p_value: 1, offset: null, strand: null, site: null };
+        }
+        const site = this._canonicalCase(sequence.slice(best.pos, best.pos + width), alpha);
+        return {
+            score: best.score,
+            p_value: pValues[Math.max(0, Math.min(best.intScore - smallest, lastBin))],
+            offset: best.pos - position,
+            strand: best.strand,
+            site: best.strand === '+' ? site : this._reverseComplementString(site, alpha)
+        };
+    }
+
+    // =====================================================
+    // MOTIF ENRICHMENT
+    // =====================================================
+
+    /**
+     * SEA - Simple Enrichment Analysis. Each primary and control sequence is
+     * scored by its best site for every motif; the score threshold that best
+     * separates the two sets is chosen and its enrichment tested, as MEME's
+     * SEA does.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {Array<string|Object>} sequences - Primary sequences, as for fimo()
+     * @param {Object} options - fimo() scoring options (alphabet, background, reverseComplement,
+     *   binSize, eps), plus:
+     * @param {Array<string|Object>} options.control - Control sequences (default: every primary
+     *   sequence shuffled)
+     * @param {number} options.seed - Seed for shuffling the controls (default: 1)
+     * @param {number} options.kmer - k-mer size the control shuffle preserves (default: 3, as SEA's order 2)
+     * @param {string} options.method - 'fisher' (Fisher's exact test) or 'binomial' (default: 'fisher')
+     * @param {string} options.scoring - 'best' to choose the best score threshold per motif, or 'hits'
+     *   to count sequences with a FIMO hit at options.hitThreshold (default: 'best')
+     * @param {number} options.hitThreshold - Site p-value threshold for 'hits' (default: 0.0001)
+     * @param {number} options.eThreshold - Only report motifs with an E-value at or below this (default: 10)
+     * @returns {Array<Object>} - Motifs ranked by p-value: {rank, motif_name, motif_alt_id, consensus,
+     *   tp, tp_percent, fp, fp_percent, enrichment_ratio, score_threshold, p_value, log_p_value,
+     *   e_value, log_e_value, q_value}
+     */
+    sea(motifs, sequences, options = {}) {
+        const {
+            control = null,
+            seed = 1,
+            kmer = 3,
+            method = 'fisher',
+            scoring = 'best',
+            hitThreshold = 0.0001,
+            eThreshold = 10
+        } = options;
+        if (method !== 'fisher' && method !== 'binomial') {
+            throw new Error(`Unknown enrichment test: ${method}`);
+        }
+        if (scoring !== 'best' && scoring !== 'hits') {
+            throw new Error(`Unknown SEA scoring: ${scoring}`);
+        }
+
+        const primary = this._sequenceRecords(sequences);
+        const controls = control ? this._sequenceRecords(control) : this._shuffledControls(primary, seed, kmer);
+        if (primary.length === 0 || controls.length === 0) {
+            throw new Error('SEA needs primary and control sequences');
+        }
+
+        const setup = this._fimoSetup(motifs, primary, { ...options, threshold: hitThreshold });
+        const motifList = this._motifList(motifs);
+        const models = motifList.map(motif => this._scoringModel(motif, setup.alpha, setup.bg, setup));
+        const primaryScores = this._bestScores(models, primary, setup);
+        const controlScores = this._bestScores(models, controls, setup);
+        const nPrimary = primary.length;
+        const nControl = controls.length;
+
+        const rows = models.map((model, idx) => {
+            const { threshold, tp, fp, logP } = this._bestThreshold(primaryScores[idx], controlScores[idx],
+                scoring === 'hits' ? model.minScore : null, method);
+            return {
+                motif_name: model.name,
+                motif_alt_id: model.altName,
+                consensus: this.characters(motifList[idx].pwm, setup.alpha, true),
+                tp,
+                tp_percent: 100 * tp / nPrimary,
+                fp,
+                fp_percent: 100 * fp / nControl,
+                enrichment_ratio: ((tp + 1) / (nPrimary + 1)) / ((fp + 1) / (nControl + 1)),
+                score_threshold: Number.isFinite(threshold) ? threshold * setup.binSize : null,
+                p_value: Math.exp(logP),
+                log_p_value: logP,
+                e_value: Math.exp(logP) * models.length,
+                log_e_value: logP + Math.log(models.length)
+            };
+        });
+
+        const qValues = this.benjaminiHochberg(rows.map(row => row.p_value));
+        rows.forEach((row, idx) => {
+            row.q_value = qValues[idx];
+        });
+
+        return rows
+            .filter(row => row.e_value <= eThreshold)
+            .sort((a, b) => a.log_p_value - b.log_p_value)
+            .map((row, idx) => ({ rank: idx + 1, ...row }));
+    }
+
+    /**
+     * Best integer score of each sequence for each motif over both strands;
+     * -Infinity for sequences shorter than the motif
+     * @private
+     */
+    _bestScores(models, records, setup) {
+        return this._bestEncodedScores(models, records.map(({ sequence }) => this.encodeSequence(sequence, setup.alpha)), setup);
+    }
+
+    /**
+     * _bestScores for sequences already encoded
+     * @private
+     */
+    _bestEncodedScores(models, codesList, setup) {
+        const scores = models.map(() => new Float64Array(codesList.length).fill(-Infinity));
+
+        codesList.forEach((letterCodes, seqIdx) => {
+            const strandCodes = this._scanCodes(letterCodes, setup);
+            models.forEach((model, modelIdx) => {
+                let best = -Infinity;
+                for (const { strand, intPwm } of model.strands) {
+                    const codes = strandCodes[strand];
+                    for (let pos = 0, end = codes.length - model.width; pos <= end; pos++) {
+                        const score = this._windowScore(codes, pos, intPwm, model.width, model.stride);
+                        if (score > best) best = score;
+                    }
+                }
+                scores[modelIdx][seqIdx] = best;
+            });
+        });
+        return scores;
+    }
+
+    /**
+     * Choose the score threshold with the most significant enrichment of
+     * primary over control best scores, or test a fixed threshold
+     * @private
+     */
+    _bestThreshold(primaryScores, controlScores, fixedThreshold, method) {
+        const nPrimary = primaryScores.length;
+        const nControl = controlScores.length;
+        const test = (tp, fp) => method === 'fisher'
+            ? this._logFisherExact(tp, nPrimary - tp, fp, nControl - fp)
+            : this._logBinomialSurvival(tp, tp + fp, nPrimary / (nPrimary + nControl));
+
+        if (fixedThreshold !== null) {
+            const tp = primaryScores.filter(score => score >= fixedThreshold).length;
+            const fp = controlScores.filter(score => score >= fixedThreshold).length;
+            return { threshold: fixedThreshold, tp, fp, logP: test(tp, fp) };
+        }
+
+        // Every distinct primary score is a candidate threshold
+        const primarySorted = Array.from(primaryScores).filter(Number.isFinite).sort((a, b) => b - a);
+        const controlSorted = Array.from(controlScores).filter(Number.isFinite).sort((a, b) => b - a);
+        let best = { threshold: null, tp: 0, fp: 0, logP: 0 };
+        let fp = 0;
+        for (let i = 0; i < primarySorted.length; i++) {
+            if (i + 1 < primarySorted.length && primarySorted[i + 1] === primarySorted[i]) continue;
+            while (fp < controlSorted.length && controlSorted[fp] >= primarySorted[i]) fp++;
+
+            const logP = test(i + 1, fp);
+            if (logP < best.logP) {
+                best = { threshold: primarySorted[i], tp: i + 1, fp, logP };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * One k-mer preserving shuffle of every record, as the default SEA control set
+     * @private
+     */
+    _shuffledControls(records, seed, k) {
+        const random = this._seededRandom(seed);
+        return records.map(({ name, sequence }) => ({
+            name: `${name}_shuffled`,
+            sequence: this._shuffleTokens(sequence.split(''), k, random).join('')
+        }));
+    }
+
+    /**
+     * CentriMo - central motif enrichment. Each sequence's best site for a
+     * motif, over both strands and scoring at least minScore, is placed by its
+     * position; every window centred on the sequences is tested for holding
+     * more sites than its share of positions with a one-sided binomial test,
+     * and the most significant window is reported, as MEME's CentriMo does.
+     * Tied best sites share their sequence's weight.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {Array<string|Object>} sequences - Sequences of equal length, centred on a
+     *   feature such as ChIP-seq peak summits, as for fimo()
+     * @param {Object} options - fimo() scoring options (alphabet, background, reverseComplement,
+     *   binSize, eps), plus:
+     * @param {number} options.minScore - Log-odds score in bits a best site needs to count (default: 5)
+     * @param {number} options.minWidth - Narrowest window tested, in site positions (default: 1)
+     * @param {number} options.maxWidth - Widest window tested, in site positions (default: every
+     *   position but the full width)
+     * @param {number} options.eThreshold - Only report motifs with an E-value at or below this (default: 10)
+     * @returns {Array<Object>} - Motifs ranked by E-value: {rank, motif_name, motif_alt_id, consensus,
+     *   total_sites, sites_in_window, expected_sites, window_width, window_start, window_end,
+     *   p_value, log_p_value, log_adj_p_value, e_value, log_e_value, num_windows, site_distribution}
+     */
+    centrimo(motifs, sequences, options = {}) {
+        const {
+            minScore = 5,
+            minWidth = 1,
+            maxWidth = null,
+            eThreshold = 10
+        } = options;
+
+        const records = this._sequenceRecords(sequences);
+        if (records.length === 0) {
+            throw new Error('CentriMo needs sequences');
+        }
+        const length = records[0].sequence.length;
+        if (records.some(record => record.sequence.length !== length)) {
+            throw new Error('CentriMo needs sequences of equal length, centred on the same feature');
+        }
+
+        const setup = this._fimoSetup(motifs, records, options);
+        const { alpha, binSize } = setup;
+        const motifList = this._motifList(motifs);
+        const codesList = records.map(({ sequence }) => this._scanCodes(this.encodeSequence(sequence, alpha), setup));
+        // Scores are compared as the integer scores FIMO bins
+        const minIntScore = Math.ceil(minScore / binSize - 1e-9);
+
+        const rows = motifList.map(motif => {
+            const model = this._scoringModel(motif, alpha, setup.bg, setup);
+            const nPositions = length - model.width + 1;
+            if (nPositions < 1) {
+                throw new Error(`Motif ${model.name} is wider than the sequences`);
+            }
+
+            // Site distribution over site start positions
+            const distribution = new Float64Array(nPositions);
+            let totalSites = 0;
+            for (const strandCodes of codesList) {
+                let best = -Infinity;
+                let ties = [];
+                for (const { strand, intPwm } of model.strands) {
+                    for (let pos = 0; pos < nPositions; pos++) {
+                        const score = this._windowScore(strandCodes[strand], pos, intPwm, model.width, model.stride);
+                        if (score > best) {
+                            best = score;
+                            ties = [pos];
+                        } else if (score === best) {
+                            ties.push(pos);
+                        }
+                    }
+                }
+                if (best >= minIntScore) {
+                    totalSites++;
+                    for (const pos of ties) {
+                        distribution[pos] += 1 / ties.length;
+                    }
+                }
+            }
+
+            // Centred windows have the parity of the number of positions; the
+            // full width holds every site and is not tested
+            const widest = Math.min(maxWidth === null ? nPositions - 2 : maxWidth, nPositions - 2);
+            let best = { width: null, sites: 0, logP: 0 };
+            let nWindows = 0;
+            for (let width = 2 - nPositions % 2; width <= widest; width += 2) {
+                if (width < minWidth) continue;
+                nWindows++;
+                const start = (nPositions - width) / 2;
+                let sites = 0;
+                for (let pos = start; pos < start + width; pos++) {
+                    sites += distribution[pos];
+                }
+                const logP = this._logBinomialSurvival(Math.round(sites), totalSites, width / nPositions);
+                if (best.width === null || logP < best.logP) {
+                    best = { width, sites, logP };
+                }
+            }
+
+            // Correct for the windows tested: 1 - (1 - p)^nWindows
+            const logAdjP = nWindows === 0 ? 0 : (best.logP < -30
+                ? best.logP + Math.log(nWindows)
+                : Math.log(-Math.expm1(nWindows * Math.log1p(-Math.exp(best.logP)))));
+            const windowStart = best.width === null ? null : (nPositions - best.width) / 2;
+            return {
+                motif_name: model.name,
+                motif_alt_id: model.altName,
+                consensus: this.characters(motif.pwm, alpha, true),
+                total_sites: totalSites,
+                sites_in_window: best.sites,
+                expected_sites: best.width === null ? 0 : totalSites * best.width / nPositions,
+                window_width: best.width,
+                window_start: windowStart,
+                window_end: best.width === null ? null : windowStart + best.width - 1 + model.width,
+                p_value: Math.exp(best.logP),
+                log_p_value: best.logP,
+                log_adj_p_value: logAdjP,
+                e_value: Math.exp(logAdjP) * motifList.length,
+                log_e_value: logAdjP + Math.log(motifList.length),
+                num_windows: nWindows,
+                site_distribution: distribution
+            };
+        });
+
+        return rows
+            .filter(row => row.e_value <= eThreshold)
+            .sort((a, b) => a.log_e_value - b.log_e_value)
+            .map((row, idx) => ({ rank: idx + 1, ...row }));
+    }
+
+    // =====================================================
+    // MOTIF DISCOVERY
+    // =====================================================
+
+    /**
+     * De novo motif discovery in the manner of STREME and MEME. Exact k-mers
+     * that discriminate primary from control sequences seed motifs, which EM
+     * refines into PWMs under a MEME site model. The refined motif that best
+     * separates the training sequences is kept, its significance is tested on
+     * held-out sequences, and its sites are erased before the next motif is sought.
+     * @param {Array<string|Object>} sequences - Primary sequences, as for fimo()
+     * @param {Object} options - fimo() scoring options (alphabet, background, reverseComplement,
+     *   binSize, eps), with background defaulting to 'sequences', plus:
+     * @param {Array<string|Object>} options.control - Control sequences (default: every primary
+     *   sequence shuffled)
+     * @param {number} options.seed - Seed for shuffling the controls and choosing the hold-out set (default: 1)
+     * @param {number} options.kmer - k-mer size the control shuffle preserves (default: 3)
+     * @param {number} options.minWidth - Minimum motif width (default: 8)
+     * @param {number} options.maxWidth - Maximum motif width (default: 15)
+     * @param {number} options.nMotifs - Maximum number of motifs to find (default: 5)
+     * @param {string} options.mod - Site model: 'zoops' (zero or one site per sequence), 'oops'
+     *   (exactly one) or 'anr' (any number) (default: 'zoops')
+     * @param {number} options.nSeeds - Seed k-mers refined for every motif (default: 3)
+     * @param {number} options.maxIterations - EM iterations per seed (default: 50)
+     * @param {number} options.holdout - Fraction of the sequences held out for E-values (default: 0.1)
+     * @param {number} options.eThreshold - Stop at the first motif with a larger E-value (default: 0.05)
+     * @returns {MemeFile} - The motifs found, with nsites and E-values, in readMeme's metadata form
+     */
+    streme(sequences, options = {}) {
+        const {
+            control = null,
+            seed = 1,
+            kmer = 3,
+            minWidth = 8,
+            maxWidth = 15,
+            nMotifs = 5,
+            mod = 'zoops',
+            nSeeds = 3,
+            maxIterations = 50,
+            holdout = 0.1,
+            eThreshold = 0.05
+        } = options;
+        if (mod !== 'zoops' && mod !== 'oops' && mod !== 'anr') {
+            throw new Error(`Unknown site model: ${mod}`);
+        }
+        if (!(minWidth >= 2 && maxWidth >= minWidth)) {
+            throw new Error('Motif widths need 2 <= minWidth <= maxWidth');
+        }
+
+        const primary = this._sequenceRecords(sequences);
+        const controls = control ? this._sequenceRecords(control) : this._shuffledControls(primary, seed, kmer);
+        if (primary.length === 0 || controls.length === 0) {
+            throw new Error('Motif discovery needs primary and control sequences');
+        }
+
+        const setup = this._fimoSetup({}, primary, {
+            ...options,
+            alphabet: options.alphabet || 'DNA',
+            background: options.background === undefined ? 'sequences' : options.background
+        });
+        const { alpha, bg, bothStrands } = setup;
+
+        // Hold out a random fraction of both sets, unless that leaves too few sequences to test on
+        const random = this._seededRandom(seed);
+        const encode = records => records.map(({ sequence }) => this.encodeSequence(sequence, alpha));
+        const split = records => {
+            const order = records.map((_, idx) => idx);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            const nHeldOut = Math.round(records.length * holdout);
+            return [order.slice(nHeldOut).sort((a, b) => a - b), order.slice(0, nHeldOut)]
+                .map(indices => encode(indices.map(idx => records[idx])));
+        };
+        const useHoldout = Math.round(primary.length * holdout) >= 50 && Math.round(controls.length * holdout) >= 50;
+        const [trainPrimary, testPrimary] = useHoldout ? split(primary) : [encode(primary), []];
+        const [trainControl, testControl] = useHoldout ? split(controls) : [encode(controls), []];
+
+        const motifs = [];
+        let nCandidates = 0;
+        while (motifs.length < nMotifs) {
+            const { seeds, nTested } = this._discriminativeSeeds(trainPrimary, trainControl, alpha, bothStrands,
+                minWidth, maxWidth, nSeeds);
+            if (seeds.length === 0) break;
+            nCandidates += nTested;
+
+            let best = null;
+            for (const seedKmer of seeds) {
+                const pwm = this._refineMotif(seedKmer, trainPrimary, alpha, bg, bothStrands, mod, maxIterations);
+                const model = this._scoringModel({ name: '', altName: '', pwm }, alpha, bg, setup);
+                const [primaryScores] = this._bestEncodedScores([model], trainPrimary, setup);
+                const [controlScores] = this._bestEncodedScores([model], trainControl, setup);
+                const fit = this._bestThreshold(primaryScores, controlScores, null, 'fisher');
+                if (!best || fit.logP < best.fit.logP) {
+                    best = { pwm, model, fit };
+                }
+            }
+            if (best.fit.threshold === null) break;
+
+            // Significance at the training threshold on sequences the motif was not fitted to
+            let logP = best.fit.logP;
+            if (useHoldout) {
+                const [primaryScores] = this._bestEncodedScores([best.model], testPrimary, setup);
+                const [controlScores] = this._bestEncodedScores([best.model], testControl, setup);
+                logP = this._bestThreshold(primaryScores, controlScores, best.fit.threshold, 'fisher').logP;
+            }
+            // Every k-mer tested so far counts towards the multiple testing correction
+            const logE = logP + Math.log(nCandidates);
+            if (logE > Math.log(eThreshold)) break;
+
+            let nsites = 0;
+            for (const codes of [trainPrimary, testPrimary]) {
+                nsites += this._eraseSites(best.model, codes, best.fit.threshold, setup);
+            }
+            for (const codes of [trainControl, testControl]) {
+                this._eraseSites(best.model, codes, best.fit.threshold, setup);
+            }
+
+            const number = motifs.length + 1;
+            motifs.push({
+                id: `${number}-${this.characters(best.pwm, alpha, true)}`,
+                altName: `STREME-${number}`,
+                pwm: best.pwm,
+                nsites,
+                evalue: this._formatLogValue(logE),
+                url: null,
+                logOdds: null
+            });
+        }
+
+        return {
+            version: alpha.standard ? '4' : '5',
+            alphabet: alpha,
+            strands: bothStrands ? ['+', '-'] : ['+'],
+            background: { source: '(from the primary sequences)', frequencies: bg },
+            motifs
+        };
+    }
+
+    /**
+     * Exact k-mers of every width that best discriminate primary from control
+     * sequences by Fisher's exact test on the sequences containing them, each
+     * as a starting PWM, and the number of k-mers tested. Reverse complements
+     * count as the same k-mer.
+     * @private
+     */
+    _discriminativeSeeds(primary, control, alpha, bothStrands, minWidth, maxWidth, nSeeds) {
+        const numChars = alpha.symbols.length;
+        const complement = bothStrands
+            ? alpha.symbols.map(sym => alpha.symbols.indexOf(alpha.complements[sym])) : null;
+
+        const kmerCounts = (codesList, width) => {
+            const counts = new Map();
+            for (const codes of codesList) {
+                const present = new Set();
+                let lastAmbiguous = -1;
+                for (let end = 0; end < codes.length; end++) {
+                    if (codes[end] >= numChars) lastAmbiguous = end;
+                    if (end - lastAmbiguous < width) continue;
+
+                    const start = end - width + 1;
+                    let key = String.fromCharCode(...codes.subarray(start, end + 1));
+                    if (complement) {
+                        let rc = '';
+                        for (let pos = end; pos >= start; pos--) rc += String.fromCharCode(complement[codes[pos]]);
+                        if (rc < key) key = rc;
+                    }
+                    present.add(key);
+                }
+                for (const key of present) counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            return counts;
+        };
+
+        const candidates = [];
+        for (let width = minWidth; width <= maxWidth; width++) {
+            const primaryCounts = kmerCounts(primary, width);
+            const controlCounts = kmerCounts(control, width);
+            for (const [key, tp] of primaryCounts) {
+                const fp = controlCounts.get(key) || 0;
+                if (tp < 2 || tp / primary.length <= fp / control.length) continue;
+                candidates.push({ key, logP: this._logFisherExact(tp, primary.length - tp, fp, control.length - fp) });
+            }
+        }
+
+        // A seed column puts 0.7 on its letter and spreads the rest evenly
+        const other = 0.3 / (numChars - 1);
+        const seeds = candidates
+            .sort((a, b) => a.logP - b.logP || b.key.length - a.key.length)
+            .slice(0, nSeeds)
+            .map(({ key }) => alpha.symbols.map((_, char) =>
+                Array.from(key, letter => (letter.charCodeAt(0) === char ? 0.7 : other))));
+        return { seeds, nTested: candidates.length };
+    }
+
+    /**
+     * Refine a PWM by expectation maximization over the sites in encoded
+     * sequences under MEME's oops, zoops or anr site model
+     * @private
+     */
+    _refineMotif(pwm, codesList, alpha, bg, bothStrands, mod, maxIterations) {
+        const numChars = alpha.symbols.length;
+        const width = pwm[0].length;
+        const nStrands = bothStrands ? 2 : 1;
+        const complement = bothStrands
+            ? alpha.symbols.map(sym => alpha.symbols.indexOf(alpha.complements[sym])) : null;
+        const totalStarts = codesList.reduce((sum, codes) => sum + Math.max(0, codes.length - width + 1), 0) * nStrands;
+
+        // zoops: prior probability that a sequence has a site; anr: prior of a site at each start
+        let prior = mod === 'anr' ? Math.min(0.5 / nStrands, codesList.length / totalStarts) : 0.5;
+        const ratios = new Float64Array(width * numChars);
+
+        for (let iter = 0; iter < maxIterations; iter++) {
+            for (let pos = 0; pos < width; pos++) {
+                for (let char = 0; char < numChars; char++) {
+                    ratios[pos * numChars + char] = pwm[char][pos] / bg[char];
+                }
+            }
+
+            // E-step: expected site counts, gathered straight into letter counts
+            const counts = alpha.symbols.map(() => new Float64Array(width));
+            let expectedSites = 0;
+            let nSequences = 0;
+            for (const codes of codesList) {
+                const nStarts = codes.length - width + 1;
+                if (nStarts <= 0) continue;
+                nSequences++;
+
+                const ratioSums = new Float64Array(nStarts * nStrands);
+                let total = 0;
+                for (let start = 0; start < nStarts; start++) {
+                    let forward = 1;
+                    let reverse = bothStrands ? 1 : 0;
+                    for (let pos = 0; pos < width && forward + reverse > 0; pos++) {
+                        const code = codes[start + pos];
+                        if (code >= numChars) {
+                            forward = reverse = 0;
+                        } else {
+                            forward *= ratios[pos * numChars + code];
+                            if (bothStrands) reverse *= ratios[(width - 1 - pos) * numChars + complement[code]];
+                        }
+                    }
+                    ratioSums[start * nStrands] = forward;
+                    if (bothStrands) ratioSums[start * nStrands + 1] = reverse;
+                    total += forward + reverse;
+                }
+                if (!(total > 0)) continue;
+
+                const perStart = prior / (nStarts * nStrands);
+                for (let start = 0; start < nStarts; start++) {
+                    for (let strand = 0; strand < nStrands; strand++) {
+                        const ratio = ratioSums[start * nStrands + strand];
+                        if (ratio === 0) continue;
+
+                        let weight;
+                        if (mod === 'oops') {
+                            weight = ratio / total;
+                        } else if (mod === 'zoops') {
+                            weight = perStart * ratio / (1 - prior + perStart * total);
+                        } else {
+                            const startTotal = ratioSums[start * nStrands] + (bothStrands ? ratioSums[start * nStrands + 1] : 0);
+                            weight = prior * ratio / (1 - nStrands * prior + prior * startTotal);
+                        }
+                        expectedSites += weight;
+                        for (let pos = 0; pos < width; pos++) {
+                            const code = codes[start + pos];
+                            if (strand === 0) {
+                                counts[code][pos] += weight;
+                            } else {
+                                counts[complement[code]][width - 1 - pos] += weight;
+                            }
+                        }
+                    }
+                }
+            }
+            if (nSequences === 0) break;
+
+            // M-step, with one background-distributed pseudocount per column
+            if (mod === 'zoops') {
+                prior = Math.min(0.999, Math.max(1e-6, expectedSites / nSequences));
+            } else if (mod === 'anr') {
+                prior = Math.min(0.999 / nStrands, Math.max(1e-9, expectedSites / totalStarts));
+            }
+            let change = 0;
+            const updated = counts.map(row => Array.from(row));
+            for (let pos = 0; pos < width; pos++) {
+                let columnTotal = 1;
+                for (let char = 0; char < numChars; char++) columnTotal += counts[char][pos];
+                for (let char = 0; char < numChars; char++) {
+                    updated[char][pos] = (counts[char][pos] + bg[char]) / columnTotal;
+                    change = Math.max(change, Math.abs(updated[char][pos] - pwm[char][pos]));
+                }
+            }
+            pwm = updated;
+            if (change < 1e-4) break;
+        }
+        return pwm;
+    }
+
+    /**
+     * Mask every site scoring at least threshold in encoded sequences by
+     * turning it into ambiguous letters; returns the number of sites erased
+     * @private
+     */
+    _eraseSites(model, codesList, threshold, setup) {
+        const numChars = setup.alpha.symbols.length;
+        let nSites = 0;
+        for (const codes of codesList) {
+            const strandCodes = this._scanCodes(codes, setup);
+            const sites = [];
+            for (const { strand, intPwm } of model.strands) {
+                for (let pos = 0, end = codes.length - model.width; pos <= end; pos++) {
+                    if (this._windowScore(strandCodes[strand], pos, intPwm, model.width, model.stride) >= threshold) sites.push(pos);
+                }
+            }
+            // Palindromic sites match on both strands but are one site
+            nSites += new Set(sites).size;
+            for (const pos of sites) {
+                codes.fill(numChars, pos, pos + model.width);
+            }
+        }
+        return nSites;
+    }
+
+    // =====================================================
+    // TOMTOM ALGORITHM
+    // =====================================================
+
+    /**
+     * TOMTOM algorithm - motif similarity with p-values
+     * @param {Array<Array<Array<number>>>} queries - Query PWMs
+     * @param {Array<Array<Array<number>>>} targets - Target PWMs  
+     * @param {Object} options - Algorithm options; scoring is 'complete' to also score the query
+     *   columns a target leaves unaligned against the background, as MEME's TOMTOM does, or
+     *   'incomplete' to score only the aligned columns (default: 'complete')
+     * @returns {Object} - Results object with p-values, E-values, q-values, scores, etc., and per
+     *   match the orientation ('+' or '-') and the query and aligned target consensus
+     */
+    tomtom(queries, targets, options = {}) {
+        const {
+            nScoreBins = 100,
+            nMedianBins = 1000,
             nCache = 100,
-            reverseComplement = true
+            reverseComplement = null,
+            metric = 'euclidean',
+            background = null,
+            alphabet = null,
+            minOverlap = 1,
+            scoring = 'complete'
         } = options;
+        if (scoring !== 'incomplete' && scoring !== 'complete') {
+            throw new Error(`Unknown TOMTOM scoring: ${scoring}`);
+        }
+        if (!Number.isInteger(minOverlap) || minOverlap < 1) {
+            throw new Error(`TOMTOM minOverlap must be an integer >= 1, got ${minOverlap}`);
+        }
+
+        const nQueries = queries.length;
+        const nTargets = targets.length;
+        const nChars = (queries[0] || targets[0] || [[]]).length;
+        const alpha = alphabet ? this.resolveAlphabet(alphabet) : this._alphabetForSize(nChars);
+        const bothStrands = this._useReverseComplement(reverseComplement, alpha);
+        
+        // Prepare target set (include reverse complements if needed)
+        let allTargets = [...targets];
+        if (bothStrands) {
+            const rcTargets = targets.map(pwm => this.reverseComplement(pwm, alpha));
+            allTargets = [...allTargets, ...rcTargets];
+        }
+
+        const bg = background || Array(nChars).fill(1 / nChars);
+        const scoreColumns = this._columnScoreFunction(metric, bg);
+
+        // Flatten the columns of every target so that each query column can be
+        // scored against the whole database, which is what the null is built from
+        const targetColumns = [];
+        const columnStarts = [];
+        for (const pwm of allTargets) {
+            columnStarts.push(targetColumns.length);
+            for (let pos = 0; pos < pwm[0].length; pos++) {
+                targetColumns.push(pwm.map(row => row[pos]));
+            }
+        }
+
+        // Initialize result matrices - results are per original target (best of fwd/rc)
+        const pValues = Array(nQueries).fill().map(() => Array(nTargets).fill(1));
+        const eValues = Array(nQueries).fill().map(() => Array(nTargets).fill(nTargets));
+        const qValues = Array(nQueries).fill().map(() => Array(nTargets).fill(1));
+        const scores = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
+        const offsets = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
+        const overlaps = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
+        const strands = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
+        const orientations = Array(nQueries).fill().map(() => Array(nTargets).fill('+'));
+        const queryConsensus = Array(nQueries).fill().map(() => Array(nTargets).fill(null));
+        const targetConsensus = Array(nQueries).fill().map(() => Array(nTargets).fill(null));
+        const consensus = pwm => alpha ? this.characters(pwm, alpha, true) : null;
+        const targetConsensuses = allTargets.map(consensus);
+
+        // Process each query
+        for (let qIdx = 0; qIdx < nQueries; qIdx++) {
+            const query = queries[qIdx];
+            const queryLength = query[0].length;
+
+            // Score every query column against every target column and build the
+            // per-query null distribution from those scores
+            const { columnScores, unalignedScores } = this._columnScores(query, targetColumns, scoreColumns,
+                nMedianBins, scoring === 'complete' ? bg : null);
+            const nullModel = this._nullDistribution(columnScores, nScoreBins, nCache, unalignedScores);
+            const queryString = consensus(query);
+            
+            // Calculate similarity scores against all targets
+            for (let tIdx = 0; tIdx < nTargets; tIdx++) {
+                const targetLength = targets[tIdx][0].length;
+                const overlap = Math.min(minOverlap, queryLength, targetLength);
+                let bestAlignment = { pValue: Infinity, score: -Infinity, offset: 0, overlap: 0 };
+                let bestStrand = 0;
+                
+                // Compare against forward target
+                const fwdAlignment = this._calculateAlignment(nullModel, columnStarts[tIdx], targetLength, overlap);
+                
+                if (this._isBetterAlignment(fwdAlignment, bestAlignment)) {
+                    bestAlignment = fwdAlignment;
+                    bestStrand = 0;
+                }
+                
+                // Compare against reverse complement if enabled
+                if (bothStrands) {
+                    const rcAlignment = this._calculateAlignment(nullModel, columnStarts[tIdx + nTargets], targetLength, overlap);
+                    
+                    if (this._isBetterAlignment(rcAlignment, bestAlignment)) {
+                        bestAlignment = rcAlignment;
+                        bestStrand = 1;
+                    }
+                }
+
+                // Correct the best per-offset p-value for the number of alignments tried
+                const nAlignments = (queryLength + targetLength + 1 - 2 * overlap) * (bothStrands ? 2 : 1);
+                const pValue = -Math.expm1(nAlignments * Math.log1p(-bestAlignment.pValue));
+                
+                // Store best result
+                pValues[qIdx][tIdx] = pValue;
+                eValues[qIdx][tIdx] = pValue * nTargets;
+                scores[qIdx][tIdx] = bestAlignment.score;
+                offsets[qIdx][tIdx] = bestAlignment.offset;
+                overlaps[qIdx][tIdx] = bestAlignment.overlap;
+                strands[qIdx][tIdx] = bestStrand;
+                orientations[qIdx][tIdx] = bestStrand === 1 ? '-' : '+';
+                queryConsensus[qIdx][tIdx] = queryString;
+                targetConsensus[qIdx][tIdx] = targetConsensuses[tIdx + bestStrand * nTargets];
+            }
+
+            qValues[qIdx] = this.benjaminiHochberg(pValues[qIdx]);
+        }
+
+        return {
+            pValues,
+            eValues,
+            qValues,
+            scores, 
+            offsets,
+            overlaps,
+            strands,
+            orientations,
+            queryConsensus,
+            targetConsensus
+        };
+    }
+
+    /**
+     * Score each query column against a set of target columns, median-centred
+     * per query column. With an unaligned (background) column, each query
+     * column's score against it is centred the same way, for complete scoring.
+     * @private
+     */
+    _columnScores(query, targetColumns, scoreColumns, nMedianBins, unalignedColumn = null) {
+        const queryLength = query[0].length;
+        const nColumns = targetColumns.length;
+        const counts = Array(nColumns).fill(1);
+        const columnScores = [];
+        const unalignedScores = unalignedColumn ? new Float64Array(queryLength) : null;
+
+        for (let qPos = 0; qPos < queryLength; qPos++) {
+            const queryColumn = query.map(row => row[qPos]);
+            const row = new Float64Array(nColumns);
+            let minVal = Infinity, maxVal = -Infinity;
+
+            for (let col = 0; col < nColumns; col++) {
+                row[col] = scoreColumns(queryColumn, targetColumns[col]);
+                minVal = Math.min(minVal, row[col]);
+                maxVal = Math.max(maxVal, row[col]);
+            }
+
+            // Subtract the median so that positions are comparable
+            const median = this.binnedMedian(row, minVal, maxVal, counts, nMedianBins);
+            for (let col = 0; col < nColumns; col++) {
+                row[col] -= median;
+            }
+            // Unlike TOMTOM, cap an unaligned column at the median score: Pearson
+            // scores a flat background column above most target columns, so an
+            // uncapped score would reward a short overlap for what it misses
+            if (unalignedScores) {
+                unalignedScores[qPos] = Math.min(0, scoreColumns(queryColumn, unalignedColumn) - median);
+            }
+
+            columnScores.push(row);
+        }
+
+        return { columnScores, unalignedScores };
+    }
+
+    /**
+     * Build the column-comparison function for a TOMTOM metric. Every metric
+     * is oriented so that larger scores mean more similar columns.
+     * @param {string|Function} metric - 'euclidean' ('ed'), 'pearson', 'sandelin',
+     *   'kullback', 'allr', or a function (queryColumn, targetColumn) => score
+     * @param {Array<number>} background - Background letter frequencies (used by 'allr')
+     * @returns {Function} - (queryColumn, targetColumn) => similarity score
+     * @private
+     */
+    _columnScoreFunction(metric, background) {
+        if (typeof metric === 'function') {
+            return metric;
+        }
+
+        // Pseudocount keeps the logarithms finite for zero probabilities
+        const eps = 1e-4;
+
+        switch (metric) {
+            case 'euclidean':
+            case 'ed':
+                return (q, t) => {
+                    let dist = 0;
+                    for (let char = 0; char < q.length; char++) {
+                        dist += (q[char] - t[char]) ** 2;
+                    }
+                    return -Math.sqrt(dist);
+                };
+
+            case 'pearson':
+                return (q, t) => {
+                    const n = q.length;
+                    let qMean = 0, tMean = 0;
+                    for (let char = 0; char < n; char++) {
+                        qMean += q[char] / n;
+                        tMean += t[char] / n;
+                    }
+
+                    let cov = 0, qVar = 0, tVar = 0;
+                    for (let char = 0; char < n; char++) {
+                        cov += (q[char] - qMean) * (t[char] - tMean);
+                        qVar += (q[char] - qMean) ** 2;
+                        tVar += (t[char] - tMean) ** 2;
+                    }
+                    return qVar > 0 && tVar > 0 ? cov / Math.sqrt(qVar * tVar) : 0;
+                };
+
+            case 'sandelin':
+                return (q, t) => {
+                    let dist = 0;
+                    for (let char = 0; char < q.length; char++) {
+                        dist += (q[char] - t[char]) ** 2;
+                    }
+                    return 2 - dist;
+                };
+
+            case 'kullback':
+                // Negated average (symmetrized) Kullback-Leibler divergence
+                return (q, t) => {
+                    let divergence = 0;
+                    for (let char = 0; char < q.length; char++) {
+                        const qp = q[char] + eps;
+                        const tp = t[char] + eps;
+                        divergence += qp * Math.log2(qp / tp) + tp * Math.log2(tp / qp);
+                    }
+                    return -divergence / 2;
+                };
+
+            case 'allr':
+                // Average log-likelihood ratio, weighting both columns equally
+                return (q, t) => {
+                    let score = 0;
+                    for (let char = 0; char < q.length; char++) {
+                        score += t[char] * Math.log2((q[char] + eps) / background[char]) +
+                            q[char] * Math.log2((t[char] + eps) / background[char]);
+                    }
+                    return score / 2;
+                };
+
+            default:
+                throw new Error(`Unknown TOMTOM metric: ${metric}`);
+        }
+    }
+
+    /**
+     * Discretize column scores into nScoreBins bins and build the per-column
+     * score distributions used as the null model for one query. Unaligned
+     * column scores, for complete scoring, are binned on the same scale and
+     * kept as prefix sums over the query.
+     * @private
+     */
+    _nullDistribution(columnScores, nScoreBins, nCache, unalignedScores = null) {
+        let minScore = Infinity, maxScore = -Infinity;
+        for (const row of columnScores) {
+            for (let col = 0; col < row.length; col++) {
+                minScore = Math.min(minScore, row[col]);
+                maxScore = Math.max(maxScore, row[col]);
+            }
+        }
+
+        const scale = maxScore > minScore ? (nScoreBins - 1) / (maxScore - minScore) : 0;
+        const intScores = columnScores.map(row => 
+            Int32Array.from(row, score => Math.round((score - minScore) * scale))
+        );
+
+        const pdfs = intScores.map(row => {
+            const pdf = new Float64Array(nScoreBins);
+            for (let col = 0; col < row.length; col++) {
+                pdf[row[col]] += 1 / row.length;
+            }
+            return pdf;
+        });
+
+        let unaligned = null;
+        if (unalignedScores) {
+            unaligned = { intPrefix: new Int32Array(columnScores.length + 1), scorePrefix: new Float64Array(columnScores.length + 1) };
+            unalignedScores.forEach((score, qPos) => {
+                const intScore = Math.min(nScoreBins - 1, Math.max(0, Math.round((score - minScore) * scale)));
+                unaligned.intPrefix[qPos + 1] = unaligned.intPrefix[qPos] + intScore;
+                unaligned.scorePrefix[qPos + 1] = unaligned.scorePrefix[qPos] + score;
+            });
+        }
+
+        return { columnScores, intScores, pdfs, nScoreBins, nCache, cache: new Map(), unaligned };
+    }
+
+    /**
+     * Survival function P(S >= s) of the summed integer score of query columns
+     * start..end (inclusive), convolved from the per-column null distributions.
+     * At most nCache distributions are kept per query.
+     * @private
+     */
+    _rangeDistribution(nullModel, start, end) {
+        const key = start * nullModel.pdfs.length + end;
+        const cached = nullModel.cache.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        let pmf;
+        if (start === end) {
+            pmf = nullModel.pdfs[start];
+        } else {
+            const prefix = this._rangeDistribution(nullModel, start, end - 1).pmf;
+            const pdf = nullModel.pdfs[end];
+            pmf = new Float64Array(prefix.length + nullModel.nScoreBins - 1);
+
+            for (let i = 0; i < prefix.length; i++) {
+                if (prefix[i] === 0) continue;
+                for (let j = 0; j < pdf.length; j++) {
+                    pmf[i + j] += prefix[i] * pdf[j];
+                }
+            }
+        }
+
+        const survival = new Float64Array(pmf.length);
+        let cumulative = 0;
+        for (let i = pmf.length - 1; i >= 0; i--) {
+            cumulative += pmf[i];
+            survival[i] = Math.min(1, cumulative);
+        }
+
+        const distribution = { pmf, survival };
+        nullModel.cache.set(key, distribution);
+        if (nullModel.cache.size > nullModel.nCache) {
+            nullModel.cache.delete(nullModel.cache.keys().next().value);
+        }
+
+        return distribution;
+    }
+
+    /**
+     * Calculate best alignment between a query and one target, choosing the
+     * offset with the smallest (uncorrected) p-value among those overlapping
+     * by at least minOverlap columns. With complete scoring the unaligned
+     * query columns are scored too, against the null of the whole query.
+     * @private
+     */
+    _calculateAlignment(nullModel, columnStart, targetLength, minOverlap = 1) {
+        const { columnScores, intScores, unaligned } = nullModel;
+        const queryLength = intScores.length;
+        let best = { pValue: Infinity, score: -Infinity, offset: 0, overlap: 0 };
+
+        // Try all possible alignments
+        for (let offset = -(queryLength - minOverlap); offset <= targetLength - minOverlap; offset++) {
+            const qStart = Math.max(0, -offset);
+            const qEnd = Math.min(queryLength, targetLength - offset);
+            let intScore = 0;
+            let score = 0;
+            
+            for (let qPos = qStart; qPos < qEnd; qPos++) {
+                const col = columnStart + qPos + offset;
+                intScore += intScores[qPos][col];
+                score += columnScores[qPos][col];
+            }
+
+            if (unaligned) {
+                const { intPrefix, scorePrefix } = unaligned;
+                intScore += intPrefix[qStart] + intPrefix[queryLength] - intPrefix[qEnd];
+                score += scorePrefix[qStart] + scorePrefix[queryLength] - scorePrefix[qEnd];
+            }
+
+            const { survival } = unaligned
+                ? this._rangeDistribution(nullModel, 0, queryLength - 1)
+                : this._rangeDistribution(nullModel, qStart, qEnd - 1);
+            const alignment = {
+                pValue: survival[intScore],
+                score: score,
+                offset: offset,
+                overlap: qEnd - qStart
+            };
+            
+            if (this._isBetterAlignment(alignment, best)) {
+                best = alignment;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Alignments are ranked by p-value, ties broken by raw score
+     * @private
+     */
+    _isBetterAlignment(alignment, best) {
+        return alignment.pValue < best.pValue ||
+            (alignment.pValue === best.pValue && alignment.score > best.score);
+    }
+
+    // =====================================================
+    // MOTIF CLUSTERING
+    // =====================================================
+
+    /**
+     * Cluster motifs by TOMTOM similarity to remove redundancy. All motifs are
+     * compared with each other, agglomerative clustering joins clusters while
+     * their linkage distance (the TOMTOM p-value, the larger of the two
+     * directions) is at most options.thresh, and each cluster gets a
+     * representative and a merged PWM.
+     * @param {Object|Array} motifs - Name -> PWM dictionary, MemeFile or array of PWMs
+     * @param {Object} options - tomtom() options (metric, reverseComplement, background, ...), plus:
+     * @param {number} options.thresh - Largest p-value at which clusters are joined (default: 0.01)
+     * @param {string} options.linkage - 'average', 'complete' or 'single' (default: 'average')
+     * @param {boolean} options.merge - Merge each cluster into an aligned average PWM (default: true)
+     * @returns {Object} - {clusters, motifs}: clusters as {id, representative, members, pwm}, members as
+     *   {name, offset, strand, pValue} aligned to the representative (offset and strand as in tomtom());
+     *   motifs is a MemeFile of the merged PWMs (or representatives) for writeMeme()
+     */
+    clusterMotifs(motifs, options = {}) {
+        const { thresh = 0.01, linkage = 'average', merge = true } = options;
+        if (linkage !== 'average' && linkage !== 'complete' && linkage !== 'single') {
+            throw new Error(`Unknown linkage: ${linkage}`);
+        }
+
+        const entries = this._motifList(motifs);
+        const memeFile = this._isMemeFile(motifs) ? motifs : null;
+        const alpha = options.alphabet ? this.resolveAlphabet(options.alphabet)
+            : memeFile ? memeFile.alphabet : this._alphabetForSize(entries.length > 0 ? entries[0].pwm.length : 4);
+        const pwms = entries.map(entry => entry.pwm);
+        const results = this.tomtom(pwms, pwms, { ...options, alphabet: alpha });
+        const distance = (i, j) => Math.max(results.pValues[i][j], results.pValues[j][i]);
+
+        // Lance-Williams updates keep the linkage distance of every pair of clusters
+        const n = entries.length;
+        const clusterDistances = Array(n).fill().map((_, i) => Array(n).fill().map((__, j) => (i === j ? 0 : distance(i, j))));
+        let clusters = entries.map((_, idx) => [idx]);
+        let active = clusters.map((_, idx) => idx);
+        for (;;) {
+            let best = null;
+            for (let a = 0; a < active.length; a++) {
+                for (let b = a + 1; b < active.length; b++) {
+                    const d = clusterDistances[active[a]][active[b]];
+                    if (d <= thresh && (!best || d < best.d)) {
+                        best = { i: active[a], j: active[b], d };
+                    }
+                }
+            }
+            if (!best) break;
+
+            const { i, j } = best;
+            for (const k of active) {
+                if (k === i || k === j) continue;
+                const di = clusterDistances[i][k];
+                const dj = clusterDistances[j][k];
+                const joined = linkage === 'single' ? Math.min(di, dj)
+                    : linkage === 'complete' ? Math.max(di, dj)
+                        : (clusters[i].length * di + clusters[j].length * dj) / (clusters[i].length + clusters[j].length);
+                clusterDistances[i][k] = clusterDistances[k][i] = joined;
+            }
+            clusters[i] = clusters[i].concat(clusters[j]);
+            active = active.filter(k => k !== j);
+        }
+        clusters = active.map(idx => clusters[idx].sort((a, b) => a - b)).sort((a, b) => a[0] - b[0]);
+
+        const output = clusters.map((members, clusterIdx) => {
+            // The representative is the member most similar to all others
+            let representative = members[0];
+            let bestScore = Infinity;
+            for (const candidate of members) {
+                const score = members.reduce((sum, other) =>
+                    (other === candidate ? sum : sum + Math.log(Math.max(distance(candidate, other), 1e-300))), 0);
+                if (score < bestScore) {
+                    bestScore = score;
+                    representative = candidate;
+                }
+            }
+
+            const aligned = members.map(idx => ({
+                name: entries[idx].name,
+                offset: idx === representative ? 0 : results.offsets[representative][idx],
+                strand: idx !== representative && results.strands[representative][idx] === 1 ? '-' : '+',
+                pValue: idx === representative ? 0 : results.pValues[representative][idx]
+            }));
+            return {
+                id: `cluster_${clusterIdx + 1}`,
+                representative: entries[representative].name,
+                members: aligned,
+                pwm: merge ? this._mergeAlignedMotifs(members.map(idx => pwms[idx]), aligned, alpha) : pwms[representative]
+            };
+        });
+
+        return {
+            clusters: output,
+            motifs: {
+                version: memeFile ? memeFile.version : null,
+                alphabet: alpha,
+                strands: memeFile ? memeFile.strands : (alpha.complements ? ['+', '-'] : null),
+                background: memeFile ? memeFile.background : null,
+                motifs: output.map(cluster => ({
+                    id: merge ? cluster.id : cluster.representative,
+                    altName: merge ? cluster.representative : null,
+                    pwm: cluster.pwm,
+                    nsites: null,
+                    evalue: null,
+                    url: null,
+                    logOdds: null
+                }))
+            }
+        };
+    }
+
+    /**
+     * Average of motifs aligned to a representative (offset 0): position i of
+     * the representative lines up with position i + offset of each member
+     * (reverse complemented for '-'). Positions covered by fewer than half
+     * of the members are dropped from the ends.
+     * @private
+     */
+    _mergeAlignedMotifs(pwms, aligned, alpha) {
+        const oriented = pwms.map((pwm, idx) => (aligned[idx].strand === '-' ? this.reverseComplement(pwm, alpha) : pwm));
+        const starts = aligned.map(({ offset }) => -offset);
+        const first = Math.min(...starts);
+        const last = Math.max(...oriented.map((pwm, idx) => starts[idx] + pwm[0].length));
+
+        const sums = oriented[0].map(() => Array(last - first).fill(0));
+        const coverage = Array(last - first).fill(0);
+        oriented.forEach((pwm, idx) => {
+            for (let pos = 0; pos < pwm[0].length; pos++) {
+                const col = starts[idx] + pos - first;
+                coverage[col]++;
+                pwm.forEach((row, char) => {
+                    sums[char][col] += row[pos];
+                });
+            }
+        });
+
+        let start = 0;
+        let end = coverage.length;
+        while (start < end && coverage[start] * 2 < pwms.length) start++;
+        while (end > start && coverage[end - 1] * 2 < pwms.length) end--;
+        return this.normalizeColumns(sums.map(row => row.slice(start, end)));
+    }
+
+    // =====================================================
+    // PARALLEL EXECUTION
+    // =====================================================
+
+    /**
+     * FIMO spread over workers: worker_threads in Node.js, Web Workers in the
+     * browser. Motifs and chunks of the sequences are scanned in parallel and
+     * merged into exactly what fimo() returns; q-values are computed after the
+     * merge so they match the synchronous run.
+     * @param {Object} motifs - Motifs, as for fimo()
+     * @param {Array<string|Object>} sequences - Sequences, as for fimo()
+     * @param {Object} options - fimo() options, plus:
+     * @param {number} options.workers - Number of workers (default: number of CPUs; 0 runs
+     *   every task in this thread, yielding to the event loop between them)
+     * @param {Function} options.onProgress - Called with {completed, total} as tasks finish
+     * @param {AbortSignal} options.signal - Cancels the run, rejecting with an AbortError
+     * @param {string} options.workerUrl - Browser only: URL of memesuite-lite.js
+     *   (default: the URL this script was loaded from)
+     * @returns {Promise<Array<Object>>} - Results as returned by fimo()
+     */
+    async fimoAsync(motifs, sequences, options = {}) {
+        const records = this._sequenceRecords(sequences);
+        const setup = this._fimoSetup(motifs, records, options);
+        const motifList = this._motifList(motifs);
+        const nChunks = Math.ceil(this._workerCount(options) / Math.max(motifList.length, 1));
+        const chunks = this._sequenceChunks(records, nChunks);
+
+        const tasks = [];
+        for (const motif of motifList) {
+            for (const chunk of chunks) {
+                tasks.push({ method: '_fimoScan', args: [[motif], chunk.records, setup, chunk.start] });
+            }
+        }
+        const outputs = await this._runTasks(tasks, options);
 
-        const nQueries = queries.length;
-        const nTargets = targets.length;
-        
-        // Prepare target set (include reverse complements if needed)
-        let allTargets = [...targets];
-        if (reverseComplement) {
-            const rcTargets = targets.map(pwm => 
-                pwm.slice().reverse().map(row => row.slice().reverse())
-            );
-            allTargets = [...allTargets, ...rcTargets];
+        // Merge each motif's chunks in sequence order, the order fimo() lists hits in
+        const results = [];
+        const scoreDistributions = [];
+        motifList.forEach((motif, motifIdx) => {
+            const parts = outputs.slice(motifIdx * chunks.length, (motifIdx + 1) * chunks.length);
+            const counts = new Float64Array(parts[0].scoreDistributions[0].counts.length);
+            for (const part of parts) {
+                part.scoreDistributions[0].counts.forEach((count, idx) => {
+                    counts[idx] += count;
+                });
+            }
+
+            results.push({
+                motif_name: parts[0].results[0].motif_name,
+                motif_alt_id: parts[0].results[0].motif_alt_id,
+                hits: [].concat(...parts.map(part => part.results[0].hits)),
+                num_tests: counts.reduce((a, b) => a + b, 0)
+            });
+            scoreDistributions.push({ pValues: parts[0].scoreDistributions[0].pValues, counts });
+        });
+
+        return this._finishFimo(results, scoreDistributions, options);
+    }
+
+    /**
+     * TOMTOM spread over workers, one chunk of queries per task. Every query
+     * is compared with all targets, so the merged rows are exactly what
+     * tomtom() returns. A custom metric function cannot be sent to a worker;
+     * with one, the chunks run in this thread.
+     * @param {Array<Array<Array<number>>>} queries - Query PWMs
+     * @param {Array<Array<Array<number>>>} targets - Target PWMs
+     * @param {Object} options - tomtom() options, plus workers, onProgress, signal
+     *   and workerUrl as for fimoAsync()
+     * @returns {Promise<Object>} - Results as returned by tomtom()
+     */
+    async tomtomAsync(queries, targets, options = {}) {
+        const { workers, onProgress, signal, workerUrl, ...tomtomOptions } = options;
+        const runOptions = { workers, onProgress, signal, workerUrl };
+        if (typeof tomtomOptions.metric === 'function') {
+            runOptions.workers = 0;
         }
 
-        // Initialize result matrices - results are per original target (best of fwd/rc)
-        const pValues = Array(nQueries).fill().map(() => Array(nTargets).fill(1));
-        const scores = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
-        const offsets = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
-        const overlaps = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
-        const strands = Array(nQueries).fill().map(() => Array(nTargets).fill(0));
+        const nChunks = Math.min(queries.length, this._workerCount(runOptions) * 4) || 1;
+        const tasks = [];
+        for (let chunk = 0; chunk < nChunks; chunk++) {
+            const start = Math.floor(chunk * queries.length / nChunks);
+            const end = Math.floor((chunk + 1) * queries.length / nChunks);
+            tasks.push({ method: 'tomtom', args: [queries.slice(start, end), targets, tomtomOptions] });
+        }
+        const outputs = await this._runTasks(tasks, runOptions);
 
-        // Process each query
-        for (let qIdx = 0; qIdx < nQueries; qIdx++) {
-            const query = queries[qIdx];
-            
-            // Calculate similarity scores against all targets
-            for (let tIdx = 0; tIdx < nTargets; tIdx++) {
-                let bestAlignment = { pValue: 1, score: 0, offset: 0, overlap: 0 };
-                let bestStrand = 0;
-                
-                // Compare against forward target
-                const fwdTarget = targets[tIdx];
-                const fwdAlignment = this._calculateAlignment(query, fwdTarget, nScoreBins, nMedianBins);
-                
-                if (fwdAlignment.pValue < bestAlignment.pValue) {
-                    bestAlignment = fwdAlignment;
-                    bestStrand = 0;
+        const merged = {};
+        for (const key of Object.keys(outputs[0])) {
+            merged[key] = [].concat(...outputs.map(output => output[key]));
+        }
+        return merged;
+    }
+
+    /**
+     * Split records into at most nChunks contiguous chunks of similar total
+     * length; there is always at least one chunk
+     * @private
+     */
+    _sequenceChunks(records, nChunks) {
+        const total = records.reduce((sum, record) => sum + record.sequence.length, 0);
+        const target = total / Math.max(nChunks, 1);
+        const chunks = [{ start: 0, records: [] }];
+        let length = 0;
+
+        records.forEach((record, idx) => {
+            let chunk = chunks[chunks.length - 1];
+            if (chunk.records.length > 0 && length >= target && chunks.length < nChunks) {
+                chunk = { start: idx, records: [] };
+                chunks.push(chunk);
+                length = 0;
+            }
+            chunk.records.push(record);
+            length += record.sequence.length;
+        });
+        return chunks;
+    }
+
+    /**
+     * Number of workers to use: options.workers, else the number of CPUs
+     * @private
+     */
+    _workerCount(options) {
+        if (options.workers !== undefined && options.workers !== null) {
+            return Math.max(0, Math.floor(options.workers));
+        }
+        if (this._isNode()) {
+            return require('os').cpus().length;
+        }
+        return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    }
+
+    /**
+     * Whether this is running in Node.js
+     * @private
+     */
+    _isNode() {
+        return typeof process !== 'undefined' && Boolean(process.versions && process.versions.node) &&
+            typeof require === 'function';
+    }
+
+    /**
+     * Run {method, args} tasks on a pool of workers (or in this thread when
+     * there are none) and resolve with their results in task order
+     * @private
+     */
+    _runTasks(tasks, options) {
+        const { onProgress = null, signal = null } = options;
+        const nWorkers = Math.min(this._workerCount(options), tasks.length);
+
+        return new Promise((resolve, reject) => {
+            const outputs = new Array(tasks.length);
+            const pool = [];
+            let next = 0;
+            let completed = 0;
+            let finished = false;
+
+            const onAbort = () => finish(this._abortError());
+            const finish = error => {
+                if (finished) return;
+                finished = true;
+                pool.forEach(worker => worker.terminate());
+                if (signal) signal.removeEventListener('abort', onAbort);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(outputs);
                 }
-                
-                // Compare against reverse complement if enabled
-                if (reverseComplement) {
-                    const rcTarget = allTargets[tIdx + nTargets];
-                    const rcAlignment = this._calculateAlignment(query, rcTarget, nScoreBins, nMedianBins);
-                    
-                    if (rcAlignment.pValue < bestAlignment.pValue) {
-                        bestAlignment = rcAlignment;
-                        bestStrand = 1;
+            };
+            const complete = (taskIdx, output) => {
+                outputs[taskIdx] = output;
+                completed++;
+                if (onProgress) onProgress({ completed, total: tasks.length });
+                if (completed === tasks.length) finish(null);
+            };
+
+            if (signal) {
+                if (signal.aborted) return finish(this._abortError());
+                signal.addEventListener('abort', onAbort);
+            }
+            if (tasks.length === 0) return finish(null);
+
+            if (nWorkers === 0) {
+                // Run in this thread, one task per turn of the event loop
+                const step = () => {
+                    if (finished) return;
+                    const taskIdx = next++;
+                    try {
+                        complete(taskIdx, this[tasks[taskIdx].method](...tasks[taskIdx].args));
+                    } catch (error) {
+                        return finish(error);
                     }
+                    if (next < tasks.length) setTimeout(step, 0);
+                };
+                setTimeout(step, 0);
+                return;
+            }
+
+            try {
+                for (let w = 0; w < nWorkers; w++) {
+                    const worker = this._createWorker(options.workerUrl);
+                    pool.push(worker);
+
+                    const dispatch = () => {
+                        if (finished || next >= tasks.length) return;
+                        const taskIdx = next++;
+                        worker.send({ id: taskIdx, method: tasks[taskIdx].method, args: tasks[taskIdx].args });
+                    };
+                    worker.listen(message => {
+                        if (message.error !== undefined) return finish(new Error(message.error));
+                        complete(message.id, message.result);
+                        dispatch();
+                    }, error => finish(error));
+                    dispatch();
                 }
-                
-                // Store best result
-                pValues[qIdx][tIdx] = bestAlignment.pValue;
-                scores[qIdx][tIdx] = bestAlignment.score;
-                offsets[qIdx][tIdx] = bestAlignment.offset;
-                overlaps[qIdx][tIdx] = bestAlignment.overlap;
-                strands[qIdx][tIdx] = bestStrand;
+            } catch (error) {
+                finish(error);
             }
+        });
+    }
+
+    /**
+     * Start a worker running this file, behind one interface for
+     * worker_threads and Web Workers: {send, listen, terminate}
+     * @private
+     */
+    _createWorker(workerUrl) {
+        if (this._isNode()) {
+            const { Worker } = require('worker_threads');
+            const worker = new Worker(__filename, { workerData: { memesuiteLiteWorker: true } });
+            return {
+                send: message => worker.postMessage(message),
+                listen: (onMessage, onError) => {
+                    worker.on('message', onMessage);
+                    worker.on('error', onError);
+                    worker.on('exit', code => onError(new Error(`Worker stopped with exit code ${code}`)));
+                },
+                terminate: () => worker.terminate()
+            };
         }
 
+        const url = workerUrl || MemeSuiteLite.scriptUrl;
+        if (!url) {
+            throw new Error('Set options.workerUrl to the URL of memesuite-lite.js to run Web Workers');
+        }
+        const worker = new Worker(url.split('#')[0] + '#memesuite-lite-worker');
         return {
-            pValues,
-            scores, 
-            offsets,
-            overlaps,
-            strands
+            send: message => worker.postMessage(message),
+            listen: (onMessage, onError) => {
+                worker.onmessage = event => onMessage(event.data);
+                worker.onerror = event => onError(new Error(event.message));
+            },
+            terminate: () => worker.terminate()
         };
     }
 
     /**
-     * Calculate best alignment between query and target motifs
+     * Answer task messages inside a worker started by _createWorker
      * @private
      */
-    _calculateAlignment(query, target, nScoreBins, nMedianBins) {
-        const queryLength = query[0].length;
-        const targetLength = target[0].length;
-        
-        // Calculate distance matrix
-        const distances = [];
-        for (let tPos = 0; tPos < targetLength; tPos++) {
-            const rowDistances = [];
-            for (let qPos = 0; qPos < queryLength; qPos++) {
-                let dist = 0;
-                for (let char = 0; char < 4; char++) {
-                    dist += (query[char][qPos] - target[char][tPos]) ** 2;
-                }
-                rowDistances.push(-Math.sqrt(dist));
+    _serveWorker(post, listen) {
+        listen(({ id, method, args }) => {
+            if (method !== '_fimoScan' && method !== 'tomtom') {
+                post({ id, error: `Unknown worker task: ${method}` });
+                return;
+            }
+            try {
+                post({ id, result: this[method](...args) });
+            } catch (error) {
+                post({ id, error: error.message });
             }
-            distances.push(rowDistances);
+        });
+    }
+
+    /**
+     * The error a cancelled run rejects with
+     * @private
+     */
+    _abortError() {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    // =====================================================
+    // RESULT WRITERS
+    // =====================================================
+
+    /**
+     * Write FIMO results in the fimo.tsv format, sorted by p-value
+     * @param {Array<Object>} results - Results from fimo()/runFimo()
+     * @returns {string} - fimo.tsv content
+     */
+    writeFimoTsv(results) {
+        const lines = ['motif_id\tmotif_alt_id\tsequence_name\tstart\tstop\tstrand\tscore\tp-value\tq-value\tmatched_sequence'];
+
+        for (const { motifId, motifAltId, hit } of this._fimoRows(results)) {
+            lines.push([
+                motifId,
+                motifAltId,
+                hit.sequence_name,
+                hit.start + 1,
+                hit.end,
+                hit.strand,
+                this._formatG(hit.score, 6),
+                this._formatG(hit.p_value),
+                hit.q_value === undefined ? '' : this._formatG(hit.q_value),
+                hit.matched_sequence || ''
+            ].join('\t'));
         }
 
-        // Subtract median from each query position
-        for (let qPos = 0; qPos < queryLength; qPos++) {
-            const values = distances.map(row => row[qPos]);
-            const minVal = Math.min(...values);
-            const maxVal = Math.max(...values);
-            const counts = Array(values.length).fill(1);
-            const median = this.binnedMedian(values, minVal, maxVal, counts, nMedianBins);
-            
-            for (let tPos = 0; tPos < targetLength; tPos++) {
-                distances[tPos][qPos] -= median;
+        return lines.join('\n') + '\n\n' +
+            '# The format of this file is described at https://meme-suite.org/meme/doc/fimo-output-format.html.\n';
+    }
+
+    /**
+     * Write FIMO results as GFF3, sorted by p-value
+     * @param {Array<Object>} results - Results from fimo()/runFimo()
+     * @returns {string} - GFF3 content
+     */
+    writeFimoGff(results) {
+        const lines = ['##gff-version 3'];
+        const escape = value => String(value).replace(/[;=&,%\t]/g, char => 
+            '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+        const ranks = {};
+
+        for (const { motifId, motifAltId, hit } of this._fimoRows(results)) {
+            ranks[motifId] = (ranks[motifId] || 0) + 1;
+
+            let attributes = `Name=${escape(motifId)}_${escape(hit.sequence_name)}${hit.strand};`;
+            if (motifAltId) {
+                attributes += `Alias=${escape(motifAltId)};`;
+            }
+            attributes += `ID=${escape(motifId)}-${ranks[motifId]}-${escape(hit.sequence_name)};` +
+                `pvalue=${this._formatG(hit.p_value)};`;
+            if (hit.q_value !== undefined) {
+                attributes += `qvalue=${this._formatG(hit.q_value)};`;
             }
+            if (hit.matched_sequence) {
+                attributes += `sequence=${hit.matched_sequence};`;
+            }
+
+            lines.push([
+                hit.sequence_name,
+                'fimo',
+                'nucleotide_motif',
+                hit.start + 1,
+                hit.end,
+                this._formatG(this._phredScore(hit.p_value)),
+                hit.strand,
+                '.',
+                attributes
+            ].join('\t'));
         }
 
-        // Find best alignment
-        let bestScore = -Infinity;
-        let bestOffset = 0;
-        let bestOverlap = 0;
+        return lines.join('\n') + '\n';
+    }
 
-        // Try all possible alignments
-        for (let offset = -(queryLength - 1); offset < targetLength; offset++) {
-            let score = 0;
-            let overlap = 0;
-            
-            for (let qPos = 0; qPos < queryLength; qPos++) {
-                const tPos = qPos + offset;
-                if (tPos >= 0 && tPos < targetLength) {
-                    score += distances[tPos][qPos];
-                    overlap++;
-                }
+    /**
+     * Write FIMO results as BED6 (0-based, half-open), sorted by sequence and start.
+     * The score column is -10 * log10(p-value), capped at 1000.
+     * @param {Array<Object>} results - Results from fimo()/runFimo()
+     * @returns {string} - BED content
+     */
+    writeFimoBed(results) {
+        const rows = this._fimoRows(results).sort((a, b) => 
+            a.hit.sequence_name < b.hit.sequence_name ? -1 :
+            a.hit.sequence_name > b.hit.sequence_name ? 1 :
+            a.hit.start - b.hit.start
+        );
+
+        return rows.map(({ motifId, hit }) => [
+            hit.sequence_name,
+            hit.start,
+            hit.end,
+            motifId,
+            Math.round(this._phredScore(hit.p_value)),
+            hit.strand
+        ].join('\t') + '\n').join('');
+    }
+
+    /**
+     * Write TOMTOM results in the tomtom.tsv format. Matches are listed per
+     * query, sorted by p-value.
+     * @param {Object} results - Results from tomtom()/runTomtom()
+     * @param {Object|Array} queries - Query motifs, as a name -> PWM dictionary, a MemeFile or an array of PWMs
+     * @param {Object|Array} targets - Target motifs, in the same order given to tomtom()
+     * @param {Object} options - Output options
+     * @param {number} options.thresh - Only report matches with q-value (or E-value) at or below this
+     * @param {boolean} options.evalue - Apply thresh to E-values instead of q-values
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet for the consensus
+     *   sequences (default: the queries' MemeFile alphabet, else DNA or protein by size)
+     * @returns {string} - tomtom.tsv content
+     */
+    writeTomtomTsv(results, queries, targets, options = {}) {
+        const { thresh = 1, evalue = false } = options;
+        const queryEntries = this._motifList(queries);
+        const targetEntries = this._motifList(targets);
+        const alphabet = options.alphabet || (this._isMemeFile(queries) ? queries.alphabet : null);
+        const alpha = alphabet ? this.resolveAlphabet(alphabet)
+            : this._alphabetForSize(queryEntries.length > 0 ? queryEntries[0].pwm.length : 4);
+        if (!alpha) {
+            throw new Error('writeTomtomTsv needs options.alphabet for motifs that are neither DNA nor protein');
+        }
+        const lines = ['Query_ID\tTarget_ID\tOptimal_offset\tp-value\tE-value\tq-value\tOverlap\tQuery_consensus\tTarget_consensus\tOrientation'];
+
+        queryEntries.forEach(({ name: queryId, pwm: query }, qIdx) => {
+            const order = targetEntries.map((_, tIdx) => tIdx)
+                .filter(tIdx => (evalue ? results.eValues : results.qValues)[qIdx][tIdx] <= thresh)
+                .sort((a, b) => results.pValues[qIdx][a] - results.pValues[qIdx][b]);
+
+            for (const tIdx of order) {
+                const { name: targetId, pwm: target } = targetEntries[tIdx];
+                const reversed = results.strands[qIdx][tIdx] === 1;
+                const alignedTarget = reversed ? this.reverseComplement(target, alpha) : target;
+
+                lines.push([
+                    queryId,
+                    targetId,
+                    results.offsets[qIdx][tIdx],
+                    this._formatG(results.pValues[qIdx][tIdx]),
+                    this._formatG(results.eValues[qIdx][tIdx]),
+                    this._formatG(results.qValues[qIdx][tIdx]),
+                    results.overlaps[qIdx][tIdx],
+                    this.characters(query, alpha, true),
+                    this.characters(alignedTarget, alpha, true),
+                    reversed ? '-' : '+'
+                ].join('\t'));
             }
-            
-            if (score > bestScore) {
-                bestScore = score;
-                bestOffset = offset;
-                bestOverlap = overlap;
+        });
+
+        return lines.join('\n') + '\n\n' +
+            '# The format of this file is described at https://meme-suite.org/meme/doc/tomtom-output-format.html.\n';
+    }
+
+    /**
+     * Write SEA results in the sea.tsv format
+     * @param {Array<Object>} results - Results from sea()/runSea()
+     * @param {Object} options - Output options
+     * @param {string} options.db - Motif database name for the DB column (default: 'motifs')
+     * @returns {string} - sea.tsv content
+     */
+    writeSeaTsv(results, options = {}) {
+        const { db = 'motifs' } = options;
+        const lines = ['RANK\tDB\tID\tALT_ID\tCONSENSUS\tTP\tTP%\tFP\tFP%\tENR_RATIO\tSCORE_THR\tPVALUE\tLOG_PVALUE\tEVALUE\tLOG_EVALUE\tQVALUE\tLOG_QVALUE'];
+
+        for (const row of results) {
+            lines.push([
+                row.rank,
+                db,
+                row.motif_name,
+                row.motif_alt_id || '',
+                row.consensus,
+                row.tp,
+                row.tp_percent.toFixed(2),
+                row.fp,
+                row.fp_percent.toFixed(2),
+                row.enrichment_ratio.toFixed(2),
+                row.score_threshold === null ? '' : row.score_threshold.toFixed(1),
+                this._formatG(row.p_value),
+                row.log_p_value.toFixed(2),
+                this._formatG(row.e_value),
+                row.log_e_value.toFixed(2),
+                this._formatG(row.q_value),
+                Math.log(row.q_value).toFixed(2)
+            ].join('\t'));
+        }
+
+        return lines.join('\n') + '\n\n' +
+            '# The format of this file is described at https://meme-suite.org/meme/doc/sea-output-format.html.\n';
+    }
+
+    /**
+     * Flatten FIMO results into per-hit rows sorted by p-value
+     * @private
+     */
+    _fimoRows(results) {
+        const rows = [];
+        for (const result of results) {
+            for (const hit of result.hits) {
+                rows.push({ motifId: result.motif_name, motifAltId: result.motif_alt_id || '', hit });
             }
         }
+        return rows.sort((a, b) => a.hit.p_value - b.hit.p_value);
+    }
 
-        // Convert score to p-value (simplified)
-        const pValue = Math.exp(-Math.abs(bestScore) / 100); // Placeholder calculation
+    /**
+     * {name, altName, pwm} records from a motif dictionary, a MemeFile, or an
+     * array of PWMs (named by index)
+     * @private
+     */
+    _motifList(motifs) {
+        if (this._isMemeFile(motifs)) {
+            return motifs.motifs.map(motif => ({ name: motif.id, altName: motif.altName || '', pwm: motif.pwm }));
+        }
+        if (Array.isArray(motifs)) {
+            return motifs.map((pwm, idx) => ({ name: String(idx), altName: '', pwm }));
+        }
+        return Object.entries(motifs).map(([name, pwm]) => ({ name, altName: '', pwm }));
+    }
 
-        return {
-            score: bestScore,
-            offset: bestOffset,
-            overlap: bestOverlap,
-            pValue: Math.max(1e-15, pValue)
-        };
+    /**
+     * Format a natural-log value as a number in MEME's E-value style, which
+     * works below the smallest double
+     * @private
+     */
+    _formatLogValue(logValue) {
+        if (logValue === -Infinity) {
+            return '0';
+        }
+        const log10 = logValue / Math.LN10;
+        let exponent = Math.floor(log10);
+        let mantissa = Math.pow(10, log10 - exponent).toFixed(1);
+        if (mantissa === '10.0') {
+            mantissa = '1.0';
+            exponent++;
+        }
+        const sign = exponent < 0 ? '-' : '+';
+        return `${mantissa}e${sign}${String(Math.abs(exponent)).padStart(2, '0')}`;
+    }
+
+    /**
+     * -10 * log10(p), capped at 1000 as in FIMO's GFF output
+     * @private
+     */
+    _phredScore(pValue) {
+        return pValue > 0 ? Math.min(1000, -10 * Math.log10(pValue)) : 1000;
+    }
+
+    /**
+     * Format a number like C's %g, as the MEME suite does in its tabular output
+     * @private
+     */
+    _formatG(value, precision = 3) {
+        if (value === 0 || !isFinite(value)) {
+            return String(value);
+        }
+
+        const stripZeros = text => text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+        const [mantissa, exponentText] = value.toExponential(precision - 1).split('e');
+        const exponent = parseInt(exponentText, 10);
+
+        if (exponent < -4 || exponent >= precision) {
+            const sign = exponent < 0 ? '-' : '+';
+            return `${stripZeros(mantissa)}e${sign}${String(Math.abs(exponent)).padStart(2, '0')}`;
+        }
+        return stripZeros(value.toFixed(precision - 1 - exponent));
+    }
+
+    // =====================================================
+    // SEQUENCE LOGOS
+    // =====================================================
+
+    /**
+     * Render a motif as a standalone SVG sequence logo. Letters are stacked
+     * by probability, smallest at the bottom, and coloured as in the alphabet
+     * definition.
+     * @param {Array<Array<number>>} pwm - Letter-probability matrix [alphabet_size x width]
+     * @param {Object} options - Options
+     * @param {string} options.scale - 'information' (stack height is the position's bits) or
+     *   'probability' (every stack has height 1) (default: 'information')
+     * @param {boolean} options.reverseComplement - Draw the reverse complement (default: false)
+     * @param {Array<string>|string|Object} options.alphabet - Alphabet (default: DNA or protein by size)
+     * @param {Array<number>|Object|string} options.background - Background for information
+     *   content, as for informationContent() (default: uniform)
+     * @param {string} options.title - Title above the logo (default: none)
+     * @param {Object} options.colors - Colours by symbol, overriding the alphabet's
+     * @param {number} options.columnWidth - Width of a position in pixels (default: 30)
+     * @param {number} options.height - Height of the letter area in pixels (default: 150)
+     * @returns {string} - SVG document
+     */
+    renderLogo(pwm, options = {}) {
+        const { title = null } = options;
+        const layout = this._logoLayout([pwm], options);
+        const panel = this._logoPanel(pwm, 0, layout.top + (title ? 20 : 0), layout, options);
+        return this._logoSvg(layout, [panel], title);
+    }
+
+    /**
+     * Render a TOMTOM match as two aligned SVG logos, the query above the
+     * target. The target is reverse complemented for a '-' strand match and
+     * shifted by the match offset, so aligned positions line up.
+     * @param {Array<Array<number>>} query - Query letter-probability matrix
+     * @param {Array<Array<number>>} target - Target letter-probability matrix, as given to tomtom()
+     * @param {Object} match - The match: {offset, strand} with offset from tomtom()'s offsets and
+     *   strand from its strands (0 or 1) or as '+' or '-'
+     * @param {Object} options - renderLogo() options, plus:
+     * @param {string} options.queryName - Label of the query logo (default: 'Query')
+     * @param {string} options.targetName - Label of the target logo (default: 'Target')
+     * @returns {string} - SVG document
+     */
+    renderAlignedLogos(query, target, match, options = {}) {
+        const { queryName = 'Query', targetName = 'Target', title = null } = options;
+        const { offset = 0, strand = 0 } = match;
+        const reversed = strand === 1 || strand === '-';
+        const alignedTarget = reversed ? this.reverseComplement(target, options.alphabet || null) : target;
+
+        // Query position i lines up with aligned target position i + offset
+        const layout = this._logoLayout([query, alignedTarget], options, Math.max(
+            query[0].length + Math.max(0, offset), alignedTarget[0].length + Math.max(0, -offset)));
+        const panelHeight = layout.height + layout.bottom + 20;
+        const top = layout.top + (title ? 20 : 0);
+        const panels = [
+            this._logoPanel(query, Math.max(0, offset), top + 20, layout,
+                { ...options, reverseComplement: false, label: queryName }),
+            this._logoPanel(alignedTarget, Math.max(0, -offset), top + 20 + panelHeight, layout,
+                { ...options, reverseComplement: false, label: `${targetName}${reversed ? ' (reverse complement)' : ''}` })
+        ];
+        return this._logoSvg({ ...layout, panelsHeight: 2 * panelHeight }, panels, title);
+    }
+
+    /**
+     * Shared dimensions of the logos in one picture
+     * @private
+     */
+    _logoLayout(pwms, options, nColumns = Math.max(...pwms.map(pwm => pwm[0].length))) {
+        const { columnWidth = 30, height = 150, scale = 'information' } = options;
+        if (scale !== 'information' && scale !== 'probability') {
+            throw new Error(`Unknown logo scale: ${scale}`);
+        }
+
+        // Information logos reach log2 of the alphabet size, or more for skewed backgrounds
+        let maxValue = 1;
+        if (scale === 'information') {
+            maxValue = Math.log2(pwms[0].length);
+            for (const pwm of pwms) {
+                maxValue = Math.max(maxValue, ...this.informationContent(pwm, options).positions);
+            }
+            maxValue = Math.ceil(maxValue * 10 - 1e-9) / 10;
+        }
+
+        const left = 50;
+        const width = left + nColumns * columnWidth + 10;
+        return { columnWidth, height, scale, maxValue, left, top: 10, bottom: 25, width, panelsHeight: height + 25 };
+    }
+
+    /**
+     * SVG markup of one logo: letter stacks with the y axis and position numbers
+     * @private
+     */
+    _logoPanel(pwm, shift, top, layout, options) {
+        const { reverseComplement = false, label = null } = options;
+        const alpha = this._motifAlphabet(pwm, options.alphabet || null);
+        const colors = { ...alpha.colors, ...(options.colors || {}) };
+        const palette = ['CC0000', '0000CC', 'FFB300', '008000', 'FF00FF', '33E6CC', 'CC8844', '666666'];
+        const colorOf = (sym, char) => '#' + String(colors[sym] || palette[char % palette.length]).replace(/^#/, '');
+
+        const drawn = reverseComplement ? this.reverseComplement(pwm, alpha) : pwm;
+        const bits = layout.scale === 'information' ? this.informationContent(drawn, options).positions : null;
+        const { columnWidth, height, left, maxValue } = layout;
+        const baseline = top + height;
+        const fmt = value => String(Math.round(value * 1000) / 1000);
+
+        let svg = '';
+        if (label) {
+            svg += `<text x="${left}" y="${top - 6}" font-size="12">${this._escapeXml(label)}</text>\n`;
+        }
+
+        // Letters are drawn at font size 100, where a capital is about 72 high and 70 wide
+        for (let pos = 0; pos < drawn[0].length; pos++) {
+            const stackHeight = (bits ? bits[pos] : 1) / maxValue * height;
+            const center = left + (shift + pos + 0.5) * columnWidth;
+            const letters = alpha.symbols
+                .map((sym, char) => ({ sym, char, size: drawn[char][pos] * stackHeight }))
+                .sort((a, b) => a.size - b.size || b.char - a.char);
+            let y = baseline;
+            for (const { sym, char, size } of letters) {
+                if (size < 0.01) continue;
+                svg += `<text transform="translate(${fmt(center)},${fmt(y)}) scale(${fmt(columnWidth * 0.9 / 70)},${fmt(size / 72)})" ` +
+                    `font-size="100" text-anchor="middle" textLength="70" lengthAdjust="spacingAndGlyphs" fill="${colorOf(sym, char)}">${this._escapeXml(sym)}</text>\n`;
+                y -= size;
+            }
+            svg += `<text x="${fmt(center)}" y="${baseline + 15}" font-size="10" text-anchor="middle">${pos + 1}</text>\n`;
+        }
+
+        // Axes
+        const step = layout.scale === 'information' ? (maxValue > 2.5 ? 1 : 0.5) : 0.5;
+        svg += `<line x1="${left - 5}" y1="${top}" x2="${left - 5}" y2="${baseline}" stroke="black"/>\n`;
+        for (let tick = 0; tick <= maxValue + 1e-9; tick += step) {
+            const y = fmt(baseline - tick / maxValue * height);
+            svg += `<line x1="${left - 9}" y1="${y}" x2="${left - 5}" y2="${y}" stroke="black"/>\n`;
+            svg += `<text x="${left - 11}" y="${y}" font-size="10" text-anchor="end" dominant-baseline="middle">${fmt(tick)}</text>\n`;
+        }
+        const axisLabel = layout.scale === 'information' ? 'bits' : 'probability';
+        svg += `<text transform="translate(${left - 35},${fmt(top + height / 2)}) rotate(-90)" font-size="12" text-anchor="middle">${axisLabel}</text>\n`;
+        svg += `<line x1="${left + shift * columnWidth}" y1="${baseline}" x2="${left + (shift + drawn[0].length) * columnWidth}" ` +
+            `y2="${baseline}" stroke="black"/>\n`;
+        return svg;
+    }
+
+    /**
+     * Wrap logo panels in an SVG document
+     * @private
+     */
+    _logoSvg(layout, panels, title) {
+        const width = layout.width;
+        const height = layout.top + (title ? 20 : 0) + layout.panelsHeight + 5;
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+            'font-family="Arial, Helvetica, sans-serif" font-weight="bold">\n';
+        if (title) {
+            svg += `<text x="${width / 2}" y="${layout.top + 12}" font-size="14" text-anchor="middle">${this._escapeXml(title)}</text>\n`;
+        }
+        return svg + panels.join('') + '</svg>\n';
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @private
+     */
+    _escapeXml(text) {
+        return String(text).replace(/[<>&"']/g, char =>
+            ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
     }
 
     // =====================================================
@@ -612,37 +5399,181 @@ class MemeSuiteLite {
 
     /**
      * Run FIMO analysis on sequences
-     * @param {string} memeContent - MEME file content
-     * @param {Array<string>} sequences - DNA sequences
+     * @param {string} memeContent - Motif file content (any format readMotifs supports;
+     *   options.motifFormat forces one)
+     * @param {Array<string|Object>|string} sequences - DNA sequences, named records, or FASTA content
      * @param {Object} options - Options
      * @returns {Array<Object>} - FIMO results
      */
     runFimo(memeContent, sequences, options = {}) {
-        const motifs = this.readMeme(memeContent);
+        const motifs = this._readMotifFile(memeContent, options.motifFormat);
+        if (typeof sequences === 'string') {
+            sequences = this.readFasta(sequences);
+        }
+        if (options.background === 'meme') {
+            const alphabet = options.alphabet || (this._isMemeFile(motifs) ? motifs.alphabet : undefined);
+            options = { ...options, background: this.readBackground(memeContent, alphabet) };
+        }
         return this.fimo(motifs, sequences, options);
     }
 
+    /**
+     * Run SEA enrichment analysis on sequences
+     * @param {string} memeContent - Motif file content (any format readMotifs supports;
+     *   options.motifFormat forces one)
+     * @param {Array<string|Object>|string} sequences - Primary sequences, named records, or FASTA content
+     * @param {Object} options - sea() options; options.control may also be FASTA content
+     * @returns {Array<Object>} - SEA results
+     */
+    runSea(memeContent, sequences, options = {}) {
+        const motifs = this._readMotifFile(memeContent, options.motifFormat);
+        if (typeof sequences === 'string') {
+            sequences = this.readFasta(sequences);
+        }
+        if (typeof options.control === 'string') {
+            options = { ...options, control: this.readFasta(options.control) };
+        }
+        return this.sea(motifs, sequences, options);
+    }
+
+    /**
+     * Run STREME-style motif discovery on sequences
+     * @param {Array<string|Object>|string} sequences - Primary sequences, named records, or FASTA content
+     * @param {Object} options - streme() options; options.control may also be FASTA content
+     * @returns {string} - MEME motif file of the motifs found
+     */
+    runStreme(sequences, options = {}) {
+        if (typeof sequences === 'string') {
+            sequences = this.readFasta(sequences);
+        }
+        if (typeof options.control === 'string') {
+            options = { ...options, control: this.readFasta(options.control) };
+        }
+        return this.writeMeme(this.streme(sequences, options));
+    }
+
     /**
      * Run TOMTOM analysis between motif sets
-     * @param {string} queryMemeContent - Query MEME file
-     * @param {string} targetMemeContent - Target MEME file  
-     * @param {Object} options - Options
+     * @param {string} queryMemeContent - Query motif file (any format readMotifs supports)
+     * @param {string} targetMemeContent - Target motif file  
+     * @param {Object} options - Options; motifFormat forces the motif file format
      * @returns {Object} - TOMTOM results
      */
     runTomtom(queryMemeContent, targetMemeContent, options = {}) {
-        const queryMotifs = this.readMeme(queryMemeContent);
-        const targetMotifs = this.readMeme(targetMemeContent);
-        
-        const queryPwms = Object.values(queryMotifs);
-        const targetPwms = Object.values(targetMotifs);
-        
-        return this.tomtom(queryPwms, targetPwms, options);
+        const queries = this._readMotifFile(queryMemeContent, options.motifFormat);
+        const targets = this._readMotifFile(targetMemeContent, options.motifFormat);
+
+        // MEME files carry their alphabet, which decides whether there is a reverse complement
+        if (!options.alphabet && this._isMemeFile(queries)) {
+            options = { ...options, alphabet: queries.alphabet };
+        }
+
+        const pwms = motifs => this._motifList(motifs).map(motif => motif.pwm);
+        return this.tomtom(pwms(queries), pwms(targets), options);
+    }
+
+    /**
+     * Read motif file content, keeping MEME metadata (alphabet, alternate names)
+     * @private
+     */
+    _readMotifFile(content, format) {
+        format = format || this.detectMotifFormat(content);
+        return format === 'meme'
+            ? this.readMeme(content, null, { metadata: true })
+            : this.readMotifs(content, format);
     }
 }
 
+/**
+ * Alphabet definitions of MEME's standard alphabets
+ */
+MemeSuiteLite.ALPHABET_DEFINITIONS = {
+    DNA: `ALPHABET "DNA" DNA-LIKE
+A "Adenine" CC0000 ~ T "Thymine" 008000
+C "Cytosine" 0000CC ~ G "Guanine" FFB300
+U = T
+R = AG
+Y = CT
+K = GT
+M = AC
+S = CG
+W = AT
+B = CGT
+D = AGT
+H = ACT
+V = ACG
+N = ACGT
+X = ACGT
+. = ACGT
+END ALPHABET`,
+    RNA: `ALPHABET "RNA" RNA-LIKE
+A "Adenine" CC0000
+C "Cytosine" 0000CC
+G "Guanine" FFB300
+U "Uracil" 008000
+T = U
+R = AG
+Y = CU
+K = GU
+M = AC
+S = CG
+W = AU
+B = CGU
+D = AGU
+H = ACU
+V = ACG
+N = ACGU
+X = ACGU
+. = ACGU
+END ALPHABET`,
+    protein: `ALPHABET "Protein" PROTEIN-LIKE
+A "Alanine" 0000CC
+C "Cysteine" 0000CC
+D "Aspartic acid" FF00FF
+E "Glutamic acid" FF00FF
+F "Phenylalanine" 0000CC
+G "Glycine" FFB300
+H "Histidine" FFCCCC
+I "Isoleucine" 0000CC
+K "Lysine" CC0000
+L "Leucine" 0000CC
+M "Methionine" 0000CC
+N "Asparagine" 008000
+P "Proline" FFFF00
+Q "Glutamine" 008000
+R "Arginine" CC0000
+S "Serine" 008000
+T "Threonine" 008000
+V "Valine" 0000CC
+W "Tryptophan" 0000CC
+Y "Tyrosine" 33E6CC
+B = DN
+Z = EQ
+J = IL
+X = ACDEFGHIKLMNPQRSTVWY
+* = ACDEFGHIKLMNPQRSTVWY
+. = ACDEFGHIKLMNPQRSTVWY
+END ALPHABET`
+};
+
 // Export for both Node.js and browser environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MemeSuiteLite;
+
+    // fimoAsync/tomtomAsync start this file as their worker_threads workers,
+    // where it is the main module; a plain require leaves worker_threads alone
+    if (typeof require !== 'undefined' && require.main === module) {
+        const { isMainThread, parentPort, workerData } = require('worker_threads');
+        if (!isMainThread && workerData && workerData.memesuiteLiteWorker) {
+            new MemeSuiteLite()._serveWorker(message => parentPort.postMessage(message),
+                handler => parentPort.on('message', handler));
+        }
+    }
 } else if (typeof window !== 'undefined') {
     window.MemeSuiteLite = MemeSuiteLite;
+    // Web Workers load this same script
+    MemeSuiteLite.scriptUrl = document.currentScript ? document.currentScript.src : null;
+} else if (typeof self !== 'undefined' && self.location && self.location.hash === '#memesuite-lite-worker') {
+    new MemeSuiteLite()._serveWorker(message => self.postMessage(message),
+        handler => { self.onmessage = event => handler(event.data); });
 }
\ No newline at end of file
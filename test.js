@@ -16,7 +16,7 @@ function assertArraysEqual(arr1, arr2, message) {
     assert(equal, message);
 }
 
-function runTests() {
+async function runTests() {
     console.log('Running memesuite-lite.js tests...\n');
     
     const msl = new MemeSuiteLite();
@@ -148,14 +148,924 @@ URL BLANK
     } catch (e) {
         assert(true, 'Throws error for ties without force flag');
     }
-    
+
+    // Test 11: TOMTOM statistics
+    console.log('Testing TOMTOM p-values, E-values and q-values...');
+    const tomtomQuery = [
+        [0.9, 0.05, 0.05, 0.05, 0.7, 0.1],
+        [0.05, 0.85, 0.05, 0.05, 0.1, 0.1],
+        [0.025, 0.05, 0.85, 0.05, 0.1, 0.7],
+        [0.025, 0.05, 0.05, 0.85, 0.1, 0.1]
+    ];
+    const tomtomTargets = [tomtomQuery];
+    for (let i = 0; i < 20; i++) {
+        // Deterministic, roughly uniform "unrelated" motifs
+        const width = 5 + (i % 3);
+        const pwm = [[], [], [], []];
+        for (let pos = 0; pos < width; pos++) {
+            const weights = [1, 2, 3, 4].map(c => 1 + ((i * 7 + pos * 3 + c * 5) % 4));
+            const total = weights.reduce((a, b) => a + b, 0);
+            weights.forEach((w, c) => pwm[c].push(w / total));
+        }
+        tomtomTargets.push(pwm);
+    }
+    const stats = msl.tomtom([tomtomQuery], tomtomTargets);
+    const selfP = stats.pValues[0][0];
+    assert(selfP < 0.01, 'Identical motif has a small p-value');
+    assert(stats.pValues[0].slice(1).every(p => p > selfP), 'Identical motif is the best match');
+    assert(stats.pValues[0].every(p => p >= 0 && p <= 1), 'p-values lie in [0, 1]');
+    assert(stats.offsets[0][0] === 0 && stats.overlaps[0][0] === 6, 'Identical motif aligns fully at offset 0');
+    assert(Math.abs(stats.eValues[0][0] - selfP * tomtomTargets.length) < 1e-12, 'E-value is p-value times number of targets');
+    assert(stats.qValues[0].every((q, j) => q >= stats.pValues[0][j] && q <= 1), 'q-values bounded by p-value and 1');
+    const bh = msl.benjaminiHochberg([0.01, 0.02, 0.03, 0.5]);
+    assert([0.04, 0.04, 0.04, 0.5].every((q, i) => Math.abs(bh[i] - q) < 1e-12), 'Benjamini-Hochberg q-values');
+
+    // Test 12: TOMTOM column metrics
+    console.log('Testing TOMTOM column metrics...');
+    for (const metric of ['euclidean', 'pearson', 'sandelin', 'kullback', 'allr']) {
+        const metricStats = msl.tomtom([tomtomQuery], tomtomTargets, { metric });
+        const best = metricStats.pValues[0].indexOf(Math.min(...metricStats.pValues[0]));
+        assert(best === 0, `Identical motif is the best match with ${metric}`);
+    }
+    const dotProduct = (q, t) => q.reduce((sum, v, i) => sum + v * t[i], 0);
+    const customStats = msl.tomtom([tomtomQuery], tomtomTargets, { metric: dotProduct });
+    assert(customStats.pValues[0].every(p => p >= 0 && p <= 1), 'Custom column metric produces valid p-values');
+    try {
+        msl.tomtom([tomtomQuery], tomtomTargets, { metric: 'unknown' });
+        assert(false, 'Should throw error for unknown metric');
+    } catch (e) {
+        assert(e.message.includes('Unknown TOMTOM metric'), 'Throws error for unknown metric');
+    }
+
+    // Test 13: FIMO q-values
+    console.log('Testing FIMO q-values...');
+    let lcgState = 42;
+    const randomBase = () => {
+        lcgState = (lcgState * 1103515245 + 12345) % 2147483648;
+        return 'ACGT'[Math.floor(lcgState / 2147483648 * 4)];
+    };
+    const randomSequence = length => Array.from({ length }, randomBase).join('');
+    const plantedMotif = {
+        'planted': msl.oneHotEncode('TGACTCAT').map(row => row.map(v => v * 0.91 + 0.03))
+    };
+    const plantedSeqs = [];
+    for (let i = 0; i < 20; i++) {
+        const seqBody = randomSequence(200);
+        plantedSeqs.push(i < 10 ? seqBody.slice(0, 100) + 'TGACTCAT' + seqBody.slice(108) : seqBody);
+    }
+    const qResults = msl.fimo(plantedMotif, plantedSeqs, { threshold: 0.001 });
+    const qHits = qResults[0].hits;
+    assert(qResults[0].num_tests === 20 * 193 * 2, 'FIMO counts every scanned window as a test');
+    assert(qHits.every(hit => 'q_value' in hit && hit.q_value >= 0 && hit.q_value <= 1), 'Every hit has a q_value');
+    const bhResults = msl.fimo(plantedMotif, plantedSeqs, { threshold: 0.001, qValueMethod: 'bh' });
+    assert(bhResults[0].hits.every((hit, i) => hit.q_value >= qHits[i].q_value), 'Storey q-values do not exceed BH q-values');
+    const qFiltered = msl.fimo(plantedMotif, plantedSeqs, { threshold: 0.001, qThreshold: 0.05 });
+    assert(qFiltered[0].hits.every(hit => hit.q_value <= 0.05), 'qThreshold filters hits');
+    assert(qFiltered[0].hits.filter(hit => hit.start === 100).length >= 10, 'Planted sites pass the q-value threshold');
+    const globalResults = msl.fimo({ ...plantedMotif, 'other': plantedMotif['planted'] }, plantedSeqs,
+        { threshold: 0.001, qValueScope: 'global' });
+    assert(globalResults[0].hits[0].q_value >= qHits[0].q_value, 'Global q-values account for all motifs');
+    const pi0 = msl.estimatePi0([0.1, 0.6, 0.7, 0.9], [1, 1, 1, 1], 0.5);
+    assert(pi0 > 0 && pi0 <= 1, 'pi0 estimate lies in (0, 1]');
+
+    // Test 14: Background models
+    console.log('Testing background models...');
+    const memeBackground = msl.readBackground(memeContent.replace('A 0.25 C 0.25 G 0.25 T 0.25', 'A 0.3 C 0.2 G 0.2 T 0.3'));
+    assertArraysEqual(memeBackground.frequencies, [0.3, 0.2, 0.2, 0.3], 'Background parsed from MEME file');
+    const markovBackground = msl.readBackground(`# order 0
+A 2.000e-01
+C 3.000e-01
+G 3.000e-01
+T 2.000e-01
+# order 1
+AA 5.0e-02
+AC 3.0e-02
+AG 7.0e-02
+AT 5.0e-02
+CA 6.0e-02
+CC 4.0e-02
+CG 1.5e-01
+CT 5.0e-02
+GA 5.0e-02
+GC 1.5e-01
+GG 4.0e-02
+GT 6.0e-02
+TA 4.0e-02
+TC 8.0e-02
+TG 4.0e-02
+TT 4.0e-02
+`);
+    assertArraysEqual(markovBackground.frequencies, [0.2, 0.3, 0.3, 0.2], 'Background parsed from fasta-get-markov file');
+    assert(markovBackground.order === 1 && markovBackground.kmers['AC'] === 0.03, 'Higher-order Markov probabilities are kept');
+
+    const gcMotif = { 'gc': msl.oneHotEncode('GCGCGC').map(row => row.map(v => v * 0.91 + 0.03)) };
+    const gcSeqs = ['ATATGCGCGCATAT'];
+    const uniformHit = msl.fimo(gcMotif, gcSeqs, { threshold: 0.01, reverseComplement: false }).flatMap(r => r.hits)
+        .find(hit => hit.start === 4);
+    const gcRichHit = msl.fimo(gcMotif, gcSeqs, { threshold: 0.01, reverseComplement: false, background: markovBackground.frequencies })
+        .flatMap(r => r.hits).find(hit => hit.start === 4);
+    assert(gcRichHit.p_value > uniformHit.p_value, 'GC-rich background makes a GC site less significant');
+    const markovHit = msl.fimo(gcMotif, gcSeqs, { threshold: 0.01, reverseComplement: false, background: markovBackground })
+        .flatMap(r => r.hits).find(hit => hit.start === 4);
+    assert(markovHit.score < gcRichHit.score && Math.abs(markovHit.p_value - 0.3 * Math.pow(0.5, 5)) < 1e-12,
+        'An order-1 background scores letters given the one before and gives the consensus its chain probability');
+    const letterFreqs = [0.2, 0.3, 0.3, 0.2];
+    const kmerLines = ['', 'A', 'C', 'G', 'T'].flatMap(first => ['A', 'C', 'G', 'T'].map(second => first + second))
+        .map(kmer => `${kmer} ${kmer.split('').reduce((prob, letter) => prob * letterFreqs['ACGT'.indexOf(letter)], 1)}`);
+    const independentBackground = msl.readBackground(kmerLines.join('\n'));
+    const markovSequence = 'ACGTTGCANNGGCGCGCATTACGGCATGCGCGTACGATCGCGATATTCG';
+    const zeroOrderHits = msl.fimo(gcMotif, [markovSequence], { threshold: 1, background: letterFreqs })[0].hits;
+    const independentHits = msl.fimo(gcMotif, [markovSequence], { threshold: 1, background: independentBackground })[0].hits;
+    assert(independentHits.length === zeroOrderHits.length && independentHits.every((hit, idx) =>
+        hit.start === zeroOrderHits[idx].start && hit.strand === zeroOrderHits[idx].strand &&
+        Math.abs(hit.score - zeroOrderHits[idx].score) < 1e-9 &&
+        Math.abs(hit.p_value - zeroOrderHits[idx].p_value) < 1e-9 * zeroOrderHits[idx].p_value),
+    'A Markov chain of independent letters scores like its letter frequencies');
+    const reverseHits = msl.fimo(gcMotif, [markovSequence], { threshold: 1, background: markovBackground })[0].hits
+        .filter(hit => hit.strand === '-');
+    const rcSequence = msl._reverseComplementString(markovSequence);
+    const rcHits = msl.fimo(gcMotif, [rcSequence], { threshold: 1, reverseComplement: false, background: markovBackground })[0].hits;
+    assert(reverseHits.length > 0 && reverseHits.every(hit => {
+        const mirrored = rcHits.find(rcHit => rcHit.start === markovSequence.length - hit.end);
+        return Math.abs(mirrored.score - hit.score) < 1e-9 && mirrored.p_value === hit.p_value;
+    }), 'Reverse strand sites are conditioned on the reverse strand context');
+    try {
+        msl.fimo(gcMotif, gcSeqs, { background: msl.readBackground('A 0.25\nC 0.25\nG 0.25\nT 0.25\nAA 0.1\n') });
+        assert(false, 'Should throw for an incomplete Markov background');
+    } catch (e) {
+        assert(e.message.includes('positive probability for AC'), 'Markov backgrounds need every k-mer');
+    }
+    const bgMapping = msl.pwmToMapping([[1, -1], [-1, 1], [0, 0], [0, 0]], 0.1, [0.4, 0.1, 0.1, 0.4]);
+    assert(Math.abs(Math.pow(2, bgMapping.logPdf[0]) - 1) < 1e-9, 'Non-uniform background mapping is a proper distribution');
+    const estimated = msl.fimo(gcMotif, ['AAACGCGCGC'], { threshold: 0.5, reverseComplement: false, background: 'sequences' });
+    const explicit = msl.fimo(gcMotif, ['AAACGCGCGC'], { threshold: 0.5, reverseComplement: false, background: [4, 5, 4, 1] });
+    assertArraysEqual(estimated, explicit, 'Background estimated from sequences with pseudocounts');
+    const runWithMemeBg = msl.runFimo(memeContent, ['ACGTTT'], { threshold: 0.5, background: 'meme' });
+    assert(runWithMemeBg.length === 1, 'runFimo accepts the MEME file background');
+
+    // Test 15: FASTA/FASTQ parsing and named sequences
+    console.log('Testing FASTA/FASTQ parsing...');
+    const fasta = '>chr1 first sequence\r\nACGTac\ngtNN\n\n>chr2\nTTTT\n';
+    const fastaRecords = msl.readFasta(fasta);
+    assert(fastaRecords.length === 2, 'Parsed two FASTA records');
+    assert(fastaRecords[0].name === 'chr1' && fastaRecords[0].description === 'first sequence', 'FASTA header split into name and description');
+    assert(fastaRecords[0].sequence === 'ACGTacgtNN', 'Multi-line FASTA sequence joined with case preserved');
+    assert(msl.readFasta(fasta, { maskLowercase: true })[0].sequence === 'ACGTNNNNNN', 'Soft-masked bases can be masked');
+    const fastqRecords = msl.readFastq('@read1 lane=1\nACGT\n+\nIIII\n@read2\nAC\nGT\n+read2\nII\nII\n');
+    assert(fastqRecords.length === 2 && fastqRecords[1].sequence === 'ACGT', 'Parsed wrapped FASTQ records');
+    assert(fastqRecords[0].quality === 'IIII' && fastqRecords[0].description === 'lane=1', 'FASTQ quality and description kept');
+    const namedResults = msl.runFimo(memeContent, '>peak1\nAAACGTTT\n>peak2\nTTACGAAA\n', { threshold: 0.05 });
+    assert(namedResults[0].hits.length > 0 && namedResults[0].hits.every(hit => hit.sequence_name === 'peak' + (hit.sequence_idx + 1)),
+        'FIMO hits report sequence_name from FASTA records');
+    assert(msl.fimo(testMotifs, ['ACGT'], { threshold: 0.5 })[0].hits.every(hit => hit.sequence_name === '0'),
+        'Unnamed sequences are named by index');
+
+    // Test 16: MEME-suite output formats
+    console.log('Testing FIMO and TOMTOM output writers...');
+    const strandResults = msl.fimo(plantedMotif, [{ name: 'fwd', sequence: 'GGTGACTCATGG' }, { name: 'rev', sequence: 'GGATGAGTCAGG' }],
+        { threshold: 0.0001 });
+    const revHit = strandResults[0].hits.find(hit => hit.sequence_name === 'rev');
+    assert(revHit.strand === '-' && revHit.start === 2 && revHit.matched_sequence === 'TGACTCAT',
+        'Minus-strand hits use forward coordinates and report the matched site');
+    const fimoTsv = msl.writeFimoTsv(strandResults).split('\n');
+    assert(fimoTsv[0] === 'motif_id\tmotif_alt_id\tsequence_name\tstart\tstop\tstrand\tscore\tp-value\tq-value\tmatched_sequence',
+        'fimo.tsv header matches FIMO');
+    const tsvFields = fimoTsv[1].split('\t');
+    assert(tsvFields[0] === 'planted' && tsvFields[3] === '3' && tsvFields[4] === '10', 'fimo.tsv uses 1-based inclusive coordinates');
+    const gffLines = msl.writeFimoGff(strandResults).trim().split('\n');
+    assert(gffLines[0] === '##gff-version 3' && gffLines[1].split('\t').length === 9, 'GFF3 has a version header and 9 columns');
+    assert(gffLines[1].includes('pvalue=') && gffLines[1].includes('sequence=TGACTCAT'), 'GFF3 attributes carry p-value and site');
+    const bedLines = msl.writeFimoBed(strandResults).trim().split('\n');
+    assertArraysEqual(bedLines[0].split('\t').slice(0, 4), ['fwd', '2', '10', 'planted'], 'BED uses 0-based half-open coordinates');
+    const queryDict = { 'Q1': tomtomQuery };
+    const targetDict = {};
+    tomtomTargets.forEach((pwm, idx) => { targetDict['T' + idx] = pwm; });
+    const tomtomTsv = msl.writeTomtomTsv(stats, queryDict, targetDict, { thresh: 0.5 }).split('\n');
+    assert(tomtomTsv[0] === 'Query_ID\tTarget_ID\tOptimal_offset\tp-value\tE-value\tq-value\tOverlap\tQuery_consensus\tTarget_consensus\tOrientation',
+        'tomtom.tsv header matches TOMTOM');
+    assertArraysEqual(tomtomTsv[1].split('\t').slice(0, 3).concat(tomtomTsv[1].split('\t').slice(6)),
+        ['Q1', 'T0', '0', '6', 'ACGTAG', 'ACGTAG', '+'], 'tomtom.tsv reports the best match first');
+
+    // Test 17: JASPAR, TRANSFAC, HOMER and cis-BP formats
+    console.log('Testing motif format readers and writers...');
+    const jasparContent = `>MA0004.1\tArnt
+A  [ 4 19  0  0  0  0 ]
+C  [16  0 20  0  0  0 ]
+G  [ 0  1  0 20  0 20 ]
+T  [ 0  0  0  0 20  0 ]
+`;
+    const arnt = msl.readJaspar(jasparContent);
+    assert(msl.detectMotifFormat(jasparContent) === 'jaspar', 'Detects JASPAR format');
+    assertArraysEqual(arnt['MA0004.1'].map(row => row[0]), [0.2, 0.8, 0, 0], 'JASPAR counts normalized to probabilities');
+    const pfmMotifs = msl.readJaspar('4 19 0\n16 0 20\n0 1 0\n0 0 0\n', 'raw');
+    assert('raw' in pfmMotifs && pfmMotifs['raw'][0][1] === 0.95, 'Reads headerless .pfm rows');
+    const transfacContent = `AC  MA0004.1
+XX
+ID  Arnt
+XX
+P0      A      C      G      T
+01      4     16      0      0      C
+02     19      0      1      0      A
+XX
+//
+`;
+    const transfacMotifs = msl.readTransfac(transfacContent);
+    assert(msl.detectMotifFormat(transfacContent) === 'transfac' && 'Arnt' in transfacMotifs, 'Reads TRANSFAC named by ID');
+    assertArraysEqual(transfacMotifs['Arnt'].map(row => row[1]), [0.95, 0, 0.05, 0], 'TRANSFAC rows become PWM columns');
+    const homerContent = '>CACGTG\tArnt-like\t6.5\n0.2\t0.8\t0\t0\n0.95\t0\t0.05\t0\n';
+    assert(msl.detectMotifFormat(homerContent) === 'homer' && 'Arnt-like' in msl.readHomer(homerContent), 'Reads HOMER motifs');
+    const cisbpContent = 'Motif\tM0001_1.02\nPos\tA\tC\tG\tT\n1\t0.2\t0.8\t0\t0\n2\t0.95\t0\t0.05\t0\n';
+    assert(msl.detectMotifFormat(cisbpContent) === 'cisbp' && 'M0001_1.02' in msl.readCisbp(cisbpContent), 'Reads cis-BP PWM tables');
+    for (const format of ['meme', 'jaspar', 'transfac', 'homer', 'cisbp']) {
+        const written = msl.writeMotifs(arnt, format);
+        const reread = msl.readMotifs(written);
+        const maxDiff = Math.max(...reread['MA0004.1'].map((row, c) => Math.max(...row.map((v, p) => Math.abs(v - arnt['MA0004.1'][c][p])))));
+        assert(msl.detectMotifFormat(written) === format && maxDiff < 1e-3, `${format} round-trips through writeMotifs/readMotifs`);
+    }
+    const jasparFimo = msl.runFimo(jasparContent, ['TTCACGTGTT'], { threshold: 0.001 });
+    assert(jasparFimo[0].motif_name === 'MA0004.1' && jasparFimo[0].hits.length > 0, 'runFimo accepts JASPAR motifs');
+    assert(msl.runTomtom(homerContent, jasparContent).pValues[0].length === 1, 'runTomtom accepts HOMER and JASPAR motifs');
+
+    // Test 18: Lossless MEME parsing
+    console.log('Testing MEME metadata and round-tripping...');
+    const richMeme = `MEME version 5.5.4
+
+ALPHABET= ACGT
+
+strands: +
+
+Background letter frequencies (from file genome.bg):
+A 0.3 C 0.2 G 0.2 T 0.3
+
+MOTIF MA0004.1 Arnt
+
+log-odds matrix: alength= 4 w= 2 n= 20 bayes= 4.5 E= 2.1e-390
+-1.2 1.7 -3.3 -3.3
+1.9 -3.3 -1.5 -3.3
+
+letter-probability matrix: alength= 4 w= 2 nsites= 20 E= 2.1e-390
+0.2 0.8 0 0
+0.95 0 0.05 0
+
+URL http://jaspar.genereg.net/matrix/MA0004.1
+`;
+    const memeFile = msl.readMeme(richMeme, null, { metadata: true });
+    const arntMotif = memeFile.motifs[0];
+    assert(memeFile.version === '5.5.4' && memeFile.alphabet.symbols.join('') === 'ACGT', 'MEME version and alphabet kept');
+    assertArraysEqual(memeFile.strands, ['+'], 'MEME strands kept');
+    assertArraysEqual(memeFile.background.frequencies, [0.3, 0.2, 0.2, 0.3], 'MEME background kept');
+    assert(arntMotif.id === 'MA0004.1' && arntMotif.altName === 'Arnt', 'Motif alternate name kept');
+    assert(arntMotif.nsites === 20 && arntMotif.evalue === '2.1e-390', 'nsites and E-value kept without underflow');
+    assert(arntMotif.url === 'http://jaspar.genereg.net/matrix/MA0004.1', 'URL kept');
+    assert(arntMotif.logOdds.params.bayes === '4.5' && arntMotif.logOdds.matrix[1][0] === 1.7, 'Log-odds matrix kept');
+    assertArraysEqual(msl.readMeme(msl.writeMeme(memeFile), null, { metadata: true }), memeFile, 'MEME file round-trips without loss');
+    const altResults = msl.runFimo(richMeme, ['ACAGG'], { threshold: 0.1 });
+    assert(altResults[0].motif_alt_id === 'Arnt' && msl.writeFimoTsv(altResults).split('\n')[1].split('\t')[1] === 'Arnt',
+        'FIMO output carries motif_alt_id');
+    const farMatrix = memeContent.replace('letter-probability', '\n\n\n\n\n\n\n\n\n\nletter-probability');
+    assert('TEST_TF' in msl.readMeme(farMatrix), 'Matrix header is found however far it is from MOTIF');
+    for (const [malformed, line, label] of [
+        [memeContent.replace('0.1 0.7 0.1 0.1', '0.1 0.7 0.1'), 13, 'row with too few values'],
+        [memeContent.replace('0.1 0.2 0.6 0.1\n', ''), 14, 'missing matrix row'],
+        [memeContent.replace(/letter-probability[^\n]*\n/, ''), 10, 'motif without a matrix']
+    ]) {
+        try {
+            msl.readMeme(malformed);
+            assert(false, `Should throw for ${label}`);
+        } catch (e) {
+            assert(e.lineNumber === line && e.message.startsWith(`MEME line ${line}`), `Reports line ${line} for ${label}`);
+        }
+    }
+
+    // Test 19: RNA, protein and custom alphabets
+    console.log('Testing alphabets...');
+    const dnaAlphabet = msl.resolveAlphabet('DNA');
+    assert(dnaAlphabet.symbols.join('') === 'ACGT' && dnaAlphabet.complements.A === 'T', 'DNA alphabet has complements');
+    assert(msl.resolveAlphabet('protein').symbols.length === 20 && msl.resolveAlphabet('protein').complements === null,
+        'Protein alphabet has 20 letters and no complements');
+    assert(msl.resolveAlphabet(['A', 'C', 'G', 'U']).name === 'RNA', 'Letters resolve to the standard alphabet');
+    const modifiedDna = `ALPHABET "DNA with covalent modifications" DNA-LIKE
+A "Adenine" 8510A8 ~ T "Thymine" A89610
+C "Cytosine" A50026 ~ G "Guanine" 313695
+m "5-Methylcytosine" D73027 ~ 1 "Guanine:5-Methylcytosine" 4575B4
+N = ACGTm1
+END ALPHABET
+`;
+    const customAlphabet = msl.readAlphabet(modifiedDna);
+    assert(customAlphabet.symbols.join('') === 'ACGTm1' && customAlphabet.complements.m === '1', 'Custom alphabet symbols sorted as MEME does');
+    const customMeme = `MEME version 5\n\n${modifiedDna}\nstrands: + -\n\nBackground letter frequencies\nA 0.2 C 0.15 G 0.15 T 0.2 m 0.15 1 0.15\n\n` +
+        'MOTIF methyl\nletter-probability matrix: alength= 6 w= 3\n0 0 0 0 1 0\n0 0 1 0 0 0\n1 0 0 0 0 0\n';
+    const customFile = msl.readMeme(customMeme, null, { metadata: true });
+    assert(customFile.alphabet.name === 'DNA with covalent modifications' && customFile.background.frequencies[4] === 0.15,
+        'MEME file keeps its alphabet block');
+    assertArraysEqual(msl.readMeme(msl.writeMeme(customFile), null, { metadata: true }), customFile, 'Custom alphabet round-trips');
+    const customHits = msl.fimo(customFile, ['TTmGATTC1ATT'], { threshold: 0.01 })[0].hits;
+    assert(customHits.length === 2 && customHits.some(hit => hit.strand === '-' && hit.matched_sequence === 'mGA'),
+        'FIMO scans both strands of a custom complementable alphabet');
+    const rnaMotif = { stem: [[1, 0, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1], [0, 1, 0, 0]] };
+    const rnaHits = msl.fimo(rnaMotif, ['CCAUCGCC', 'CCGAUGCC'], { alphabet: 'RNA', threshold: 0.01 })[0].hits;
+    assert(rnaHits.length === 1 && rnaHits[0].sequence_idx === 0 && rnaHits[0].strand === '+', 'RNA is scanned on one strand only');
+    try {
+        msl.fimo(rnaMotif, ['ACGU'], { alphabet: 'RNA', reverseComplement: true });
+        assert(false, 'Should throw for reverse complement of RNA');
+    } catch (e) {
+        assert(e.message.includes('complements'), 'Reverse complement needs an alphabet with complements');
+    }
+    const protein = msl.resolveAlphabet('protein').symbols;
+    const peptide = word => protein.map(letter => word.split('').map(char => char === letter ? 0.9 : 0.1 / 19));
+    const proteinHits = msl.fimo({ WHY: peptide('WHY') }, ['MKTAWHYLLG'], { alphabet: 'protein', threshold: 0.001 })[0].hits;
+    assert(proteinHits.length === 1 && proteinHits[0].matched_sequence === 'WHY', 'FIMO scans protein sequences');
+    assertArraysEqual(msl.fimo({ WHY: peptide('WHY') }, ['MKTAWHYLLG'], { threshold: 0.001 })[0].hits, proteinHits,
+        'FIMO picks the protein alphabet from 20-row motifs');
+    const proteinTomtom = msl.tomtom([peptide('WHYK')], [peptide('AWHY'), peptide('GGGG')]);
+    assert(proteinTomtom.pValues[0][0] < proteinTomtom.pValues[0][1] && proteinTomtom.strands[0][0] === 0,
+        'TOMTOM compares protein motifs without reverse complements');
+    const proteinMeme = msl.writeMeme({ WHY: peptide('WHY') });
+    assert(proteinMeme.includes('ALPHABET= ACDEFGHIKLMNPQRSTVWY') && !proteinMeme.includes('strands'),
+        'Protein MEME files have no strands line');
+    assert(msl.readMeme(proteinMeme, null, { metadata: true }).alphabet.name === 'Protein', 'Protein MEME files read back as protein');
+    assertArraysEqual(msl.oneHotEncode('AUN', 'RNA'), [[1, 0, 0], [0, 0, 0], [0, 0, 0], [0, 1, 0]], 'One-hot encoding with an RNA alphabet');
+
+    // Test 20: Typed-array scanning engine (throughput is measured by npm run bench)
+    console.log('Testing the typed-array scanning engine...');
+    assertArraysEqual(Array.from(msl.encodeSequence('ACGTNacgu')), [0, 1, 2, 3, 4, 0, 1, 2, 3], 'Sequences encode to letter indices');
+    let seed = 42;
+    const random = () => {
+        seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+        return seed / 4294967296;
+    };
+    // Long random fixtures need the full period of this generator
+    const randomDna = length => Array.from({ length }, () => 'ACGT'[Math.floor(random() * 4)]).join('');
+    const fromConsensus = consensus => ['A', 'C', 'G', 'T'].map(letter => consensus.split('').map(char => char === letter ? 0.85 : 0.05));
+    const benchMotifs = { CREB: fromConsensus('TGACGTCA'), SP1: fromConsensus('GGGGCGGGGC') };
+    const scanLength = 100000;
+    const bases = randomDna(scanLength).split('');
+    const planted = [];
+    for (let pos = 1000; pos < scanLength; pos += 8000) {
+        'TGACGTCA'.split('').forEach((char, k) => { bases[pos + k] = char; });
+        planted.push(pos);
+    }
+    const benchResults = msl.fimo(benchMotifs, [{ name: 'chrBench', sequence: bases.join('') }], { threshold: 1e-4 });
+    const crebStarts = new Set(benchResults[0].hits.map(hit => hit.start));
+    assert(planted.every(pos => crebStarts.has(pos)), 'Every planted site is found in a long sequence');
+    assert(benchResults[0].num_tests === 2 * (scanLength - 7), 'Every window on both strands is counted');
+    const crebHit = benchResults[0].hits.find(hit => hit.strand === '-');
+    const expectedScore = crebHit.matched_sequence.split('').reduce((sum, char, k) =>
+        sum + Math.log2(benchMotifs.CREB['ACGT'.indexOf(char)][k] + 0.0001) + 2, 0);
+    assert(Math.abs(crebHit.score - expectedScore) < 1e-9, 'Hits report the unrounded log-odds score');
+
+    // Test 21: Parallel FIMO and TOMTOM
+    console.log('Testing parallel FIMO and TOMTOM...');
+    const parallelSequences = [];
+    for (let i = 0; i < 12; i++) {
+        parallelSequences.push({ name: `seq${i}`, sequence: randomDna(15000 + i * 500) });
+    }
+    const syncFimo = msl.fimo(benchMotifs, parallelSequences, { threshold: 1e-4 });
+    const progress = [];
+    const asyncFimo = await msl.fimoAsync(benchMotifs, parallelSequences, {
+        threshold: 1e-4, workers: 2, onProgress: update => progress.push(update)
+    });
+    assertArraysEqual(asyncFimo, syncFimo, 'fimoAsync on workers returns what fimo returns');
+    assert(progress.length > 1 && progress[progress.length - 1].completed === progress[progress.length - 1].total,
+        'fimoAsync reports progress up to completion');
+    assertArraysEqual(await msl.fimoAsync(benchMotifs, parallelSequences, { threshold: 1e-4, workers: 0, qValueScope: 'global' }),
+        msl.fimo(benchMotifs, parallelSequences, { threshold: 1e-4, qValueScope: 'global' }),
+        'fimoAsync without workers returns what fimo returns');
+    const parallelQueries = [0, 1, 2, 3, 4].map(i => fromConsensus(['TGACGTCA', 'GGGGCGGGGC', 'CACGTG', 'TTGCGCAA', 'AAATTT'][i]));
+    assertArraysEqual(await msl.tomtomAsync(parallelQueries, parallelQueries.concat([benchMotifs.SP1]), { workers: 2 }),
+        msl.tomtom(parallelQueries, parallelQueries.concat([benchMotifs.SP1])), 'tomtomAsync on workers returns what tomtom returns');
+    if (typeof AbortController !== 'undefined') {
+        const controller = new AbortController();
+        const running = msl.fimoAsync(benchMotifs, parallelSequences, { workers: 2, signal: controller.signal });
+        controller.abort();
+        try {
+            await running;
+            assert(false, 'Should reject when aborted');
+        } catch (e) {
+            assert(e.name === 'AbortError', 'fimoAsync rejects with an AbortError when cancelled');
+        }
+    }
+    const loadedModules = require('child_process').execFileSync(process.execPath, ['-e',
+        `require(${JSON.stringify(require.resolve('./memesuite-lite.js'))}); console.log(process.moduleLoadList.join(' '))`],
+        { encoding: 'utf8' });
+    assert(!loadedModules.includes('worker_threads'), 'Requiring the library does not load worker_threads');
+
+    // Test 22: Streaming FIMO
+    console.log('Testing streaming FIMO...');
+    const streamRecords = [
+        { name: 'chrA', sequence: randomDna(1000) + 'TGACGTCA' + randomDna(58992) },
+        { name: 'chrB', sequence: 'A'.repeat(996) + 'TGACGTCA' + 'A'.repeat(10) },
+        { name: 'chrShort', sequence: 'TGACGTC' },
+        { name: 'chrC', sequence: (randomDna(41000) + 'TGACGTCA' + randomDna(2202)).toLowerCase() }
+    ];
+    const fastaText = streamRecords.map(record => `>${record.name} streamed\n${record.sequence.match(/.{1,60}/g).join('\n')}\n`).join('');
+    async function* oddChunks(text, size) {
+        for (let i = 0; i < text.length; i += size) {
+            yield Buffer.from(text.slice(i, i + size));
+        }
+    }
+    const streamedHits = [];
+    for await (const hit of msl.fimoStream(benchMotifs, oddChunks(fastaText, 997), { threshold: 1e-4, windowSize: 1000 })) {
+        streamedHits.push(hit);
+    }
+    const hitKey = hit => [hit.motif_name, hit.sequence_idx, hit.start, hit.strand].join(':');
+    const expectedStreamHits = [].concat(...msl.fimo(benchMotifs, streamRecords, { threshold: 1e-4 }).map(result =>
+        result.hits.map(hit => {
+            const { q_value, ...rest } = hit;
+            return { motif_name: result.motif_name, motif_alt_id: result.motif_alt_id, ...rest };
+        })));
+    const byKey = (a, b) => (hitKey(a) < hitKey(b) ? -1 : 1);
+    assert(streamedHits.length > 0 && new Set(streamedHits.map(hitKey)).size === streamedHits.length,
+        'Streaming reports no hit twice across window boundaries');
+    assert(streamedHits.filter(hit => hit.sequence_name === 'chrB' && hit.start === 996).length === 2,
+        'A site spanning a window boundary is found on both strands');
+    assertArraysEqual(streamedHits.slice().sort(byKey), expectedStreamHits.sort(byKey), 'Streaming FIMO finds the same hits as fimo');
+    assert(streamedHits.every((hit, idx) => idx === 0 || hit.sequence_idx >= streamedHits[idx - 1].sequence_idx) &&
+        streamedHits.some(hit => hit.sequence_name === 'chrC'), 'Streamed hits arrive in sequence order');
+
+    // Test 23: Genomic intervals
+    console.log('Testing genomic intervals...');
+    const chr1 = randomDna(1000) + 'TGACGTCA' + randomDna(1992);
+    const chr2 = randomDna(500).toLowerCase() + 'NNNNN' + randomDna(500);
+    const genomeFasta = `>chr1 test\n${chr1.match(/.{1,60}/g).join('\n')}\n>chr2\n${chr2.match(/.{1,50}/g).join('\n')}\n`;
+    const fai = msl.indexFasta(genomeFasta);
+    assert(fai.split('\n')[0] === 'chr1\t3000\t11\t60\t61', 'Indexes FASTA like samtools faidx');
+    const indexedGenome = msl.openIndexedFasta(Buffer.from(genomeFasta), fai);
+    assert(await indexedGenome.fetch('chr1', 55, 130) === chr1.slice(55, 130) &&
+        await indexedGenome.fetch('chr2', 490, 520) === chr2.slice(490, 520), 'Fetches intervals across FASTA lines');
+    const twoBitGenome = await msl.openTwoBit(msl.writeTwoBit(msl.readFasta(genomeFasta)));
+    assert(twoBitGenome.chromosomes.chr2 === 1005 && await twoBitGenome.fetch('chr2', 495, 510) === chr2.slice(495, 510) &&
+        await twoBitGenome.fetch('chr1', 1, 998) === chr1.slice(1, 998), '2bit keeps bases, N blocks and soft-masking');
+    const scaffolds = Array.from({ length: 200 }, (_, idx) => ({ name: `scaffold${idx}`, sequence: chr1.slice(idx, idx + 20) }));
+    let twoBitReads = 0;
+    const twoBitBytes = msl.writeTwoBit(scaffolds);
+    const countedGenome = await msl.openTwoBit(async (offset, length) => {
+        twoBitReads++;
+        return twoBitBytes.subarray(offset, offset + length);
+    });
+    assert(Object.keys(countedGenome.chromosomes).length === 200 && twoBitReads <= 205,
+        'Opening a 2bit file reads the index in blocks and one header per sequence');
+    const genomeFile = require('path').join(require('os').tmpdir(), `memesuite-lite-${process.pid}.2bit`);
+    require('fs').writeFileSync(genomeFile, twoBitBytes);
+    const fileGenome = await msl.openTwoBit(genomeFile);
+    assert(await fileGenome.fetch('scaffold7', 2, 12) === chr1.slice(9, 19), '2bit genomes can be read from a path');
+    await fileGenome.close();
+    require('fs').unlinkSync(genomeFile);
+    const peaks = 'track name=peaks\nchr1\t900\t1100\tpeak1\t0\t+\nchr2\t0\t1005\n';
+    assertArraysEqual(msl.readBed(peaks)[0], { chrom: 'chr1', start: 900, end: 1100, name: 'peak1', score: 0, strand: '+' }, 'Reads BED6');
+    for (const [label, source] of [['indexed FASTA', indexedGenome], ['2bit', twoBitGenome]]) {
+        const peakResults = await msl.fimoIntervals(benchMotifs, peaks, source, { threshold: 1e-4 });
+        const peakHit = peakResults[0].hits.find(hit => hit.interval_name === 'peak1' && hit.strand === '+');
+        assert(peakHit && peakHit.chrom === 'chr1' && peakHit.start === 1000 && peakHit.end === 1008,
+            `Hits in ${label} intervals are reported in genome coordinates`);
+        assert(msl.writeFimoBed(peakResults).split('\n').includes(`chr1\t1000\t1008\tCREB\t${Math.round(-10 * Math.log10(peakHit.p_value))}\t+`),
+            `BED output of ${label} hits can go to a genome browser`);
+    }
+    try {
+        await indexedGenome.fetch('chr1', 2990, 3010);
+        assert(false, 'Should throw for intervals past the chromosome end');
+    } catch (e) {
+        assert(e.message.includes('outside chr1'), 'Intervals past the chromosome end are rejected');
+    }
+
+    // Test 24: Motif enrichment
+    console.log('Testing SEA enrichment...');
+    assert(Math.abs(msl.fisherExactTest(8, 2, 1, 9) - 0.0027387) < 1e-6, "Fisher's exact test matches R");
+    assert(Math.abs(msl.binomialTest(7, 10, 0.5) - 0.171875) < 1e-12, 'Binomial test tail is exact');
+    assert(Math.abs(msl.logGamma(10) - Math.log(362880)) < 1e-9, 'logGamma matches log factorials');
+    const peakSequences = [];
+    for (let i = 0; i < 40; i++) {
+        let peak = randomDna(200);
+        if (i < 30) {
+            peak = peak.slice(0, 90) + 'TGACGTCA' + peak.slice(98);
+        }
+        peakSequences.push({ name: `peak${i}`, sequence: peak });
+    }
+    const seaResults = msl.sea(benchMotifs, peakSequences, { seed: 7 });
+    assert(seaResults[0].rank === 1 && seaResults[0].motif_name === 'CREB' && seaResults[0].tp >= 30 &&
+        seaResults[0].e_value < 1e-6, 'SEA ranks the planted motif first');
+    assert(seaResults[1].motif_name === 'SP1' && seaResults[1].p_value > seaResults[0].p_value * 1e6, 'Unenriched motifs rank below');
+    assert(msl.sea(benchMotifs, peakSequences, { seed: 7, eThreshold: 0.01 }).length === 1, 'Motifs above the E-value threshold are not reported');
+    assertArraysEqual(msl.sea(benchMotifs, peakSequences, { seed: 7 }), seaResults, 'Shuffled controls are reproducible with a seed');
+    const controlSequences = peakSequences.map(() => randomDna(200));
+    const explicitControl = msl.sea(benchMotifs, peakSequences, { control: controlSequences, method: 'binomial', scoring: 'hits', eThreshold: Infinity });
+    const crebRow = explicitControl.find(row => row.motif_name === 'CREB');
+    assert(explicitControl.length === 2 && crebRow.tp >= 30 && crebRow.p_value < 1e-6 && crebRow.q_value >= crebRow.p_value,
+        'SEA tests explicit controls with the binomial test on FIMO hits');
+    const seaTsv = msl.writeSeaTsv(seaResults).split('\n');
+    assert(seaTsv[0].startsWith('RANK\tDB\tID\tALT_ID\tCONSENSUS\tTP\tTP%') && seaTsv[1].split('\t')[4] === 'TGACGTCA',
+        'Writes sea.tsv');
+
+    // Test 25: k-mer preserving shuffles
+    console.log('Testing sequence shuffling...');
+    const kmerCounts = (sequence, k) => {
+        const counts = {};
+        for (let i = 0; i + k <= sequence.length; i++) {
+            const kmer = sequence.slice(i, i + k);
+            counts[kmer] = (counts[kmer] || 0) + 1;
+        }
+        return Object.entries(counts).sort();
+    };
+    const unshuffled = randomDna(2000) + 'NNNN' + randomDna(500);
+    for (const k of [1, 2, 3]) {
+        const shuffled = msl.shuffleSequence(unshuffled, { k, seed: 5 });
+        assert(shuffled !== unshuffled, `Shuffling with k=${k} changes the sequence`);
+        assertArraysEqual(kmerCounts(shuffled, k), kmerCounts(unshuffled, k), `Shuffling with k=${k} preserves ${k}-mer counts`);
+    }
+    const dinucShuffle = msl.shuffleSequence(unshuffled, { seed: 5 });
+    assert(dinucShuffle[0] === unshuffled[0] && dinucShuffle.slice(-1) === unshuffled.slice(-1),
+        'Dinucleotide shuffles keep the first and last letters');
+    assert(msl.shuffleSequence(unshuffled, { seed: 5 }) === dinucShuffle &&
+        msl.shuffleSequence(unshuffled, { seed: 6 }) !== dinucShuffle, 'Shuffles are reproducible given a seed');
+    const oneHotShuffle = msl.shuffleSequence(msl.oneHotEncode(unshuffled), { seed: 5 });
+    assert(oneHotShuffle.length === 4 && oneHotShuffle[0].length === unshuffled.length, 'One-hot shuffles keep their shape');
+    assertArraysEqual(kmerCounts(oneHotShuffle[0].map((_, pos) => 'ACGT'[oneHotShuffle.findIndex(row => row[pos])] || 'N').join(''), 2),
+        kmerCounts(unshuffled, 2), 'One-hot shuffles preserve dinucleotides, including N columns');
+
+    // Test 26: De novo motif discovery
+    console.log('Testing motif discovery...');
+    const discoverySequences = [];
+    for (let i = 0; i < 60; i++) {
+        let sequence = randomDna(120);
+        if (i < 40) {
+            const pos = 10 + (i * 37) % 90;
+            sequence = sequence.slice(0, pos) + (i % 2 ? 'TGACGTCA' : 'TGACGTAA') + sequence.slice(pos + 8);
+        }
+        discoverySequences.push({ name: `seq${i}`, sequence });
+    }
+    const discovered = msl.streme(discoverySequences, { nMotifs: 2 });
+    const topMotif = discovered.motifs[0];
+    assert(Array.isArray(discovered.motifs) && discovered.alphabet.name === 'DNA' && topMotif.altName === 'STREME-1',
+        'Discovery returns a MemeFile');
+    assert(/^1-.*TGACGT/.test(topMotif.id) && topMotif.nsites >= 40 && parseFloat(topMotif.evalue) < 1e-6,
+        'Discovery finds the planted motif with a significant E-value');
+    const annotation = msl.tomtom(discovered.motifs.map(motif => motif.pwm), Object.values(benchMotifs));
+    assert(annotation.pValues[0][0] < annotation.pValues[0][1] && annotation.pValues[0][0] < 0.01,
+        'Discovered motifs can be annotated with tomtom');
+    assert(msl.readMeme(msl.runStreme(discoverySequences, { nMotifs: 1, mod: 'oops' }), null, { metadata: true })
+        .motifs[0].id.includes('TGACGT'), 'runStreme writes a MEME file with the oops model');
+    // Enough sequences for a hold-out set: E-values fitted and tested on the same few sequences are optimistic
+    const randomOnly = Array.from({ length: 500 }, () => randomDna(60));
+    assert(msl.streme(randomOnly, { mod: 'anr' }).motifs.length === 0, 'Discovery finds nothing in random sequences');
+
+    // Test 27: Motif utilities
+    console.log('Testing motif utilities...');
+    const utilityPwm = [
+        [0.1, 0.9, 0.45, 0.25, 0.0],
+        [0.1, 0.05, 0.45, 0.25, 0.4],
+        [0.7, 0.05, 0.05, 0.25, 0.3],
+        [0.1, 0.0, 0.05, 0.25, 0.3]
+    ];
+    const ic = msl.informationContent(utilityPwm);
+    assert(Math.abs(ic.positions[0] - (2 + 0.7 * Math.log2(0.7) + 0.3 * Math.log2(0.1))) < 1e-12 && ic.positions[3] === 0 &&
+        Math.abs(ic.total - ic.positions.reduce((a, b) => a + b, 0)) < 1e-12, 'Information content per position and in total');
+    const skewedIc = msl.informationContent(utilityPwm, { background: [0.3, 0.2, 0.2, 0.3] });
+    assert(skewedIc.positions[3] > 0, 'Information content is measured against the background');
+    assertArraysEqual(msl.trimMotif(utilityPwm, { minInformation: 0.5 }), utilityPwm.map(row => row.slice(0, 3)),
+        'Trimming removes uninformative flanks');
+    assert(msl.iupacConsensus(utilityPwm) === 'GAMNB', 'IUPAC consensus follows Cavener rules');
+    assertArraysEqual(msl.reverseComplement(msl.reverseComplement(utilityPwm)), utilityPwm, 'Reverse complement is an involution');
+    assert(msl.reverseComplement(utilityPwm)[3][4] === utilityPwm[0][0] && msl.reverseComplement('ACGTRN') === 'NYACGT',
+        'Reverse complements matrices and sequences');
+    try {
+        msl.reverseComplement('ACGU', 'RNA');
+        assert(false, 'Should throw for alphabets without complements');
+    } catch (e) {
+        assert(e.message.includes('complements'), 'RNA has no reverse complement');
+    }
+    assertArraysEqual(msl.countsToProbabilities([[3, 0], [1, 4], [0, 0], [0, 0]], { pseudocount: 1 }),
+        [[0.65, 0.05], [0.25, 0.85], [0.05, 0.05], [0.05, 0.05]], 'Counts to probabilities with pseudocounts');
+    assertArraysEqual(msl.probabilitiesToCounts(utilityPwm, 20)[0], [2, 18, 9, 5, 0], 'Probabilities to counts');
+    const logOdds = msl.probabilitiesToLogOdds(utilityPwm);
+    assert(logOdds[2][0] > 1.4 && Number.isFinite(logOdds[0][4]), 'Log-odds with pseudocounts stay finite');
+    const roundTrip = msl.logOddsToProbabilities(msl.probabilitiesToLogOdds(utilityPwm, { pseudocount: 0 }));
+    assert(roundTrip.every((row, char) => row.every((prob, pos) => Math.abs(prob - utilityPwm[char][pos]) < 1e-12)),
+        'Log-odds convert back to probabilities');
+    assert(msl.validateMotif(msl.normalizeColumns([[2, 0], [2, 0], [0, 0], [0, 0]]), { alphabet: 'DNA' }),
+        'Normalized columns validate');
+    for (const [badPwm, message] of [[[[0.5, 0.2], [0.5, 0.2]], 'sums to'], [[[0.5, 1], [0.5]], 'same'], [[[1.5, -0.5], [-0.5, 1.5]], 'invalid']]) {
+        try {
+            msl.validateMotif(badPwm);
+            assert(false, 'Should throw for malformed motifs');
+        } catch (e) {
+            assert(e.message.includes(message), `Validation reports "${message}"`);
+        }
+    }
+
+    // Test 28: Sequence logos
+    console.log('Testing sequence logos...');
+    const letterCount = (svg, letter) => (svg.match(new RegExp(`lengthAdjust="spacingAndGlyphs" fill="#[0-9A-F]{6}">${letter}<`, 'g')) || []).length;
+    const logo = msl.renderLogo(utilityPwm, { title: 'Motif <1> & co' });
+    assert(logo.startsWith('<svg xmlns="http://www.w3.org/2000/svg"') && logo.trim().endsWith('</svg>') &&
+        logo.includes('Motif &lt;1&gt; &amp; co'), 'Logos are standalone SVG with an escaped title');
+    assert(logo.includes('>bits</text>') && letterCount(logo, 'A') === 3, 'Information logos leave out positions without information');
+    const probabilityLogo = msl.renderLogo(utilityPwm, { scale: 'probability' });
+    assert(probabilityLogo.includes('>probability</text>') && letterCount(probabilityLogo, 'A') === 4,
+        'Probability logos draw every letter present');
+    assert(logo.includes('fill="#CC0000">A<') && msl.resolveAlphabet('DNA').colors.T === '008000',
+        'Logos use the alphabet colours');
+    const rcLogo = msl.renderLogo(utilityPwm, { reverseComplement: true });
+    assert(rcLogo === msl.renderLogo(msl.reverseComplement(utilityPwm)), 'Logos can show the reverse complement');
+    const logoTarget = msl.reverseComplement(msl.oneHotEncode('GTGACGTAAT').map(row => row.map(val => val * 0.8 + 0.05)));
+    const logoQuery = fromConsensus('TGACGTAA');
+    const logoMatch = msl.tomtom([logoQuery], [logoTarget]);
+    const pairLogo = msl.renderAlignedLogos(logoQuery, logoTarget,
+        { offset: logoMatch.offsets[0][0], strand: logoMatch.strands[0][0] }, { queryName: 'TGACGTAA', targetName: 'GTGACGTAAT' });
+    assert(logoMatch.strands[0][0] === 1 && logoMatch.offsets[0][0] === 1 && pairLogo.includes('>TGACGTAA</text>') &&
+        pairLogo.includes('GTGACGTAAT (reverse complement)'), 'Aligned logos label a reverse-strand TOMTOM match');
+    assert(pairLogo.includes('<text x="95" y="195" font-size="10" text-anchor="middle">1</text>'),
+        'The query logo is shifted by the TOMTOM offset');
+    assert(msl.writeAlphabet({ ...msl.resolveAlphabet('DNA'), definition: null }).includes('A CC0000 ~ T 008000'),
+        'Alphabet colours are written back');
+
+    // Test 29: Motif clustering
+    console.log('Testing motif clustering...');
+    const clusterInput = {
+        CREB: fromConsensus('TGACGTCA'),
+        CREB_long: fromConsensus('ATGACGTCAT'),
+        ATF: fromConsensus('TGACGTAA'),
+        ATF_rc: msl.reverseComplement(fromConsensus('GTGACGTAAT')),
+        SP1: fromConsensus('GGGGCGGGGC'),
+        KLF: fromConsensus('GGGGTGGGGC'),
+        GATA: fromConsensus('AGATAAGA')
+    };
+    const clustering = msl.clusterMotifs(clusterInput, { thresh: 0.05, scoring: 'incomplete' });
+    assertArraysEqual(clustering.clusters.map(cluster => cluster.members.map(member => member.name)),
+        [['CREB', 'CREB_long', 'ATF', 'ATF_rc'], ['SP1', 'KLF'], ['GATA']], 'Similar motifs cluster together');
+    assertArraysEqual(msl.clusterMotifs(clusterInput, { thresh: 0.05, merge: false }).clusters.map(cluster => cluster.members.map(member => member.name)),
+        [['CREB', 'ATF'], ['CREB_long', 'ATF_rc'], ['SP1', 'KLF'], ['GATA']], 'Complete scoring keeps motifs of different lengths apart');
+    const crebCluster = clustering.clusters[0];
+    assert(crebCluster.representative === 'ATF' && crebCluster.members.find(member => member.name === 'ATF_rc').strand === '-' &&
+        crebCluster.members.find(member => member.name === 'CREB_long').offset === 1, 'Members are aligned to the representative');
+    assert(msl.iupacConsensus(crebCluster.pwm) === 'RTGACGTMAT', 'Clusters merge into an aligned consensus PWM');
+    assert(msl.clusterMotifs(clusterInput, { scoring: 'incomplete' }).clusters.length === 4 &&
+        msl.clusterMotifs(clusterInput, { thresh: 1e-6, scoring: 'incomplete' }).clusters.length === 7,
+        'The cutoff controls how far clusters are joined');
+    const clusteredMeme = msl.readMeme(msl.writeMeme(clustering.motifs), null, { metadata: true });
+    assert(clusteredMeme.motifs.length === 3 && clusteredMeme.motifs[0].id === 'cluster_1' && clusteredMeme.motifs[0].altName === 'ATF',
+        'Clusters are written back through writeMeme');
+    assert(msl.clusterMotifs(clusterInput, { thresh: 0.05, merge: false, linkage: 'complete' }).motifs.motifs.map(motif => motif.id).includes('SP1'),
+        'Unmerged clusters keep their representatives');
+
+    // Test 30: Command-line interface
+    console.log('Testing command-line interface...');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { execFileSync, spawnSync } = require('child_process');
+    const cliDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memesuite-lite-'));
+    const cli = (...args) => execFileSync(process.execPath, [path.join(__dirname, 'bin', 'memesuite-lite.js'), ...args],
+        { cwd: cliDir, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+    fs.writeFileSync(path.join(cliDir, 'query.meme'), msl.writeMeme(benchMotifs));
+    fs.writeFileSync(path.join(cliDir, 'targets.meme'), msl.writeMeme({ ATF: fromConsensus('TGACGTAA'), KLF: fromConsensus('GGGGTGGGGC') }));
+    fs.writeFileSync(path.join(cliDir, 'targets.jaspar'), msl.writeJaspar({ GATA: fromConsensus('AGATAAGA') }));
+    fs.writeFileSync(path.join(cliDir, 'seqs.fa'), '>s1\nAAATGACGTCAGGGGGGCGGGGCAAA\n>s2\nCCCCCCCC\n');
+
+    const fimoText = cli('fimo', '--text', '--norc', '--thresh', '1e-3', 'query.meme', 'seqs.fa').split('\n');
+    assert(fimoText[0].startsWith('motif_id\tmotif_alt_id') && fimoText.filter(line => line.startsWith('CREB\t')).length === 1 &&
+        fimoText.some(line => line.startsWith('SP1\t\ts1\t14\t23\t+')), 'CLI fimo writes fimo.tsv to stdout');
+    cli('fimo', '--oc', 'out', '--motif', 'SP1', 'query.meme', 'seqs.fa');
+    const fimoFile = fs.readFileSync(path.join(cliDir, 'out', 'fimo.tsv'), 'utf8');
+    assert(fimoFile.includes('SP1\t') && !fimoFile.includes('CREB\t') && fs.existsSync(path.join(cliDir, 'out', 'fimo.gff')),
+        'CLI fimo writes the selected motifs to an output directory');
+    fs.writeFileSync(path.join(cliDir, 'markov.bg'),
+        Object.entries(markovBackground.kmers).map(([kmer, prob]) => `${kmer} ${prob}`).join('\n'));
+    const markovText = cli('fimo', '--text', '--thresh', '0.01', '--bgfile', 'markov.bg', 'query.meme', 'seqs.fa');
+    const markovExpected = msl.writeFimoTsv(msl.fimo(msl.readMeme(msl.writeMeme(benchMotifs), null, { metadata: true }),
+        msl.readFasta(fs.readFileSync(path.join(cliDir, 'seqs.fa'), 'utf8')), { threshold: 0.01, background: markovBackground }));
+    assert(markovText === markovExpected && markovText.includes('CREB\t'), 'CLI fimo scores against a Markov --bgfile like the library');
+    const tomtomText = cli('tomtom', '-text', '-dist', 'ed', '-thresh', '0.1', 'query.meme', 'targets.meme', 'targets.jaspar');
+    assert(tomtomText.includes('CREB\tATF\t0\t') && tomtomText.includes('SP1\tKLF\t0\t') && !tomtomText.includes('GATA'),
+        'CLI tomtom compares against several target files with a q-value threshold');
+    const evalueText = cli('tomtom', '-text', '-evalue', '-thresh', '10', '-min-overlap', '5', '-m', 'SP1', 'query.meme', 'targets.jaspar');
+    assert(evalueText.includes('SP1\tGATA\t') && !evalueText.includes('CREB\t'), 'CLI tomtom takes -evalue, -min-overlap and -m');
+    try {
+        cli('tomtom', '-o', 'out', 'query.meme', 'targets.meme');
+        assert(false, 'Should refuse an existing output directory');
+    } catch (e) {
+        assert(e.status === 1 && e.stderr.includes('already exists'), 'CLI errors exit with status 1');
+    }
+    for (const maxStored of ['0', '-3']) {
+        try {
+            cli('fimo', '--text', '--max-stored-scores', maxStored, 'query.meme', 'seqs.fa');
+            assert(false, `Should refuse --max-stored-scores ${maxStored}`);
+        } catch (e) {
+            assert(e.status === 1 && e.stderr.includes('--max-stored-scores needs an integer >= 1'),
+                `CLI rejects --max-stored-scores ${maxStored}`);
+        }
+    }
+    const cliStderr = (...args) => spawnSync(process.execPath, [path.join(__dirname, 'bin', 'memesuite-lite.js'), ...args],
+        { cwd: cliDir, encoding: 'utf8' }).stderr;
+    assert(cliStderr('fimo', '--text', '--norc', '--thresh', '1e-3', 'query.meme', 'seqs.fa') === '',
+        'CLI fimo keeps standard error quiet at the default verbosity');
+    assert(cliStderr('fimo', '--text', '--norc', '--thresh', '1e-3', '--verbosity', '2', 'query.meme', 'seqs.fa') ===
+        `fimo: scanned 2 sequences with 2 motifs, ${fimoText.filter(line => /^(CREB|SP1)\t/.test(line)).length} hits\n`,
+        'CLI fimo summarizes the run at verbosity 2');
+    assert(cliStderr('tomtom', '-text', '-verbosity', '2', 'query.meme', 'targets.meme') === 'tomtom: compared 2 queries with 2 targets\n',
+        'CLI tomtom summarizes the run at verbosity 2');
+    assert(cliStderr('fimo', '--text', '--verbosity', '0', 'query.meme', 'seqs.fa').includes('--verbosity needs an integer >= 1'),
+        'CLI rejects --verbosity 0');
+    for (const minOverlap of ['0', '-2', '2.5']) {
+        try {
+            cli('tomtom', '-text', '-min-overlap', minOverlap, 'query.meme', 'targets.meme');
+            assert(false, `Should refuse -min-overlap ${minOverlap}`);
+        } catch (e) {
+            assert(e.status === 1 && e.stderr.includes('-min-overlap needs an integer >= 1'), `CLI rejects -min-overlap ${minOverlap}`);
+        }
+    }
+    for (const file of ['out/fimo.tsv', 'out/fimo.gff', 'query.meme', 'targets.meme', 'targets.jaspar', 'seqs.fa', 'markov.bg']) {
+        fs.unlinkSync(path.join(cliDir, file));
+    }
+    fs.rmdirSync(path.join(cliDir, 'out'));
+    fs.rmdirSync(cliDir);
+
+    // Test 31: FIMO hit post-processing
+    console.log('Testing FIMO hit post-processing...');
+    const postMotifs = { CREB: fromConsensus('TGACGTCA'), POLYA: fromConsensus('AAAAAA') };
+    const postSequences = [
+        { name: 'a', sequence: 'CCTGACGTCAGGATGACGTAAGGGAAAAAAAAAGG' },
+        { name: 'b', sequence: 'TTTTTTTTGGTGACGTCA' }
+    ];
+    const postHits = (options = {}) => msl.fimo(postMotifs, postSequences, { threshold: 0.01, ...options })
+        .map(result => result.hits.map(hit => `${hit.sequence_name}:${hit.start}${hit.strand}`));
+    assertArraysEqual(postHits()[0], ['a:2+', 'a:13+', 'a:2-', 'a:13-', 'b:10+', 'b:10-'], 'Unprocessed hits keep every strand and offset');
+    assertArraysEqual(postHits({ bestStrand: true })[0], ['a:2+', 'a:13+', 'b:10+'], 'bestStrand keeps one strand per position');
+    assertArraysEqual(postHits({ nonOverlapping: true })[1], ['a:24+', 'b:0-'], 'nonOverlapping suppresses overlapping hits greedily by p-value');
+    assertArraysEqual(postHits({ topK: 2 })[1], ['a:24+', 'a:25+', 'b:0-', 'b:1-'], 'topK caps the hits per sequence');
+    assertArraysEqual(postHits({ bestSite: true }), [['a:2+', 'b:10+'], ['a:24+', 'b:0-']], 'bestSite reports one site per sequence and motif');
+    assertArraysEqual(postHits({ maxStoredScores: 3 }), [['a:2+', 'a:2-', 'b:10+'], []], 'maxStoredScores keeps the best hits over all motifs');
+    assertArraysEqual(postHits({ sort: 'position' })[0], ['a:2+', 'a:2-', 'a:13+', 'a:13-', 'b:10+', 'b:10-'], 'Hits can be sorted by position');
+    const pValueSorted = msl.fimo(postMotifs, postSequences, { threshold: 0.01, sort: 'pValue' })[1].hits.map(hit => hit.p_value);
+    assert(pValueSorted.every((p, idx) => idx === 0 || pValueSorted[idx - 1] <= p), 'Hits can be sorted by p-value');
+    const asyncBest = await msl.fimoAsync(postMotifs, postSequences, { threshold: 0.01, bestSite: true, workers: 0 });
+    assertArraysEqual(asyncBest, msl.fimo(postMotifs, postSequences, { threshold: 0.01, bestSite: true }), 'fimoAsync post-processes like fimo');
+    try {
+        for await (const hit of msl.fimoStream(postMotifs, '>x\nACGT\n', { topK: 1 })) {
+            assert(!hit, 'No hits expected');
+        }
+        assert(false, 'Should throw for post-processing on streams');
+    } catch (e) {
+        assert(e.message.includes('topK'), 'fimoStream rejects post-processing options');
+    }
+
+    // Test 32: Score tracks and motif features
+    console.log('Testing score tracks and motif features...');
+    const tracks = msl.scoreTracks(postMotifs, postSequences);
+    assert(tracks.length === 2 && tracks[0].tracks.length === 2, 'One track set per motif and sequence');
+    const crebTrack = tracks[0].tracks[0];
+    assert(crebTrack.forward instanceof Float64Array && crebTrack.forward.length === 35 - 8 + 1, 'Tracks have one score per window start');
+    const crebFimo = msl.fimo(postMotifs, postSequences, { threshold: 0.01 })[0].hits[0];
+    assert(Math.abs(crebTrack.forward[crebFimo.start] - crebFimo.score) < 1e-9, 'Track scores match FIMO scores');
+    assert(Math.abs(crebTrack.reverse[2] - crebTrack.forward[2]) < 1e-9, 'Reverse track scores a palindrome like the forward one');
+    assert(msl.scoreTracks(postMotifs, postSequences, { reverseComplement: false })[0].tracks[0].reverse === null, 'Single-strand tracks have no reverse track');
+
+    const features = msl.motifFeatures(postMotifs, [...postSequences, 'ACG'], { thresholds: [0.01, 0.0001] });
+    assertArraysEqual(features.motifs, ['CREB', 'POLYA'], 'Feature rows are motifs');
+    assertArraysEqual(features.sequences, ['a', 'b', '2'], 'Feature columns are sequences');
+    assert(Math.abs(features.maxScore[0][0] - Math.max(...crebTrack.forward, ...crebTrack.reverse)) < 1e-9, 'Max score is the best window on either strand');
+    const perSequence = name => msl.fimo(postMotifs, postSequences, { threshold: 0.01 })[0].hits.filter(hit => hit.sequence_name === name).length;
+    assert(features.hitCounts[0][0][0] === perSequence('a') && features.hitCounts[0][0][1] === perSequence('b'), 'Hit counts match FIMO');
+    assert(features.hitCounts[1][0][0] <= features.hitCounts[0][0][0], 'Stricter thresholds count fewer hits');
+    const crebScores = [...crebTrack.forward, ...crebTrack.reverse];
+    assert(Math.abs(features.occupancy[0][0] - Math.log2(crebScores.reduce((sum, score) => sum + Math.pow(2, score), 0))) < 1e-9, 'Occupancy is the log-sum-exp of window scores');
+    assert(features.occupancy[0][0] >= features.maxScore[0][0], 'Occupancy is at least the max score');
+    assert(features.maxScore[0][2] === -Infinity && features.hitCounts[0][0][2] === 0, 'Short sequences score -Infinity and count no hits');
+    try {
+        msl.motifFeatures(postMotifs, postSequences, { thresholds: [0] });
+        assert(false, 'Should throw for a zero threshold');
+    } catch (e) {
+        assert(e.message.includes('thresholds'), 'Invalid thresholds throw');
+    }
+
+    // Test 33: Central enrichment (CentriMo)
+    console.log('Testing central enrichment...');
+    const centredSequences = [];
+    for (let i = 0; i < 80; i++) {
+        let sequence = randomSequence(200);
+        if (i < 50) {
+            const pos = 94 + i % 5;
+            sequence = sequence.slice(0, pos) + 'TGACGTCA' + sequence.slice(pos + 8);
+        }
+        if (i % 2) {
+            const pos = (i * 53) % 190;
+            sequence = sequence.slice(0, pos) + 'GGGGCGGGGC' + sequence.slice(pos + 10);
+        }
+        centredSequences.push(sequence);
+    }
+    const centrality = msl.centrimo(benchMotifs, centredSequences, { eThreshold: Infinity });
+    const crebCentral = centrality.find(row => row.motif_name === 'CREB');
+    const sp1Central = centrality.find(row => row.motif_name === 'SP1');
+    assert(centrality[0] === crebCentral && crebCentral.rank === 1, 'Central motifs rank first');
+    assert(crebCentral.e_value < 1e-20 && crebCentral.window_width <= 9 && crebCentral.sites_in_window >= 45,
+        'The planted central motif has a narrow, significant window');
+    assert(crebCentral.window_start <= 94 && crebCentral.window_end >= 106, 'The best window covers the planted sites');
+    assert(crebCentral.site_distribution.length === 193 &&
+        Math.abs(crebCentral.site_distribution.reduce((a, b) => a + b, 0) - crebCentral.total_sites) < 1e-9,
+        'The site distribution has one bin per site position and sums to the sites');
+    assert(sp1Central.e_value > 0.05, 'Uniformly placed sites are not centrally enriched');
+    assert(msl.centrimo(benchMotifs, centredSequences).every(row => row.e_value <= 10), 'Results are filtered by E-value');
+    try {
+        msl.centrimo(benchMotifs, [centredSequences[0], centredSequences[1].slice(1)]);
+        assert(false, 'Should throw for unequal lengths');
+    } catch (e) {
+        assert(e.message.includes('equal length'), 'Sequences of unequal length throw');
+    }
+
+    // Test 34: Variant effects
+    console.log('Testing variant effect scoring...');
+    const variantContext = 'AACCTTGACGTCATTGGAACC';
+    const effects = msl.scoreVariants(benchMotifs, [
+        { id: 'snp', sequence: variantContext, position: 9, ref: 'G', alt: 'A' },
+        { id: 'del', sequence: variantContext, position: 9, ref: 'G', alt: '' },
+        { id: 'ins', sequence: 'AACCTTGACTCATTGG', position: 9, ref: '-', alt: 'G' }
+    ]);
+    assert(effects.length === 6 && effects[0].variant_id === 'snp' && effects[0].motif_name === 'CREB',
+        'One row per variant and motif');
+    const [snpEffect, , delEffect, , insEffect] = effects;
+    const crebReference = msl.fimo({ CREB: benchMotifs.CREB }, [variantContext], { threshold: 1 })[0].hits
+        .reduce((best, hit) => hit.score > best.score ? hit : best);
+    assert(Math.abs(snpEffect.ref_score - crebReference.score) < 1e-9 && snpEffect.ref_p_value === crebReference.p_value,
+        'Reference alleles score like FIMO');
+    assert(snpEffect.ref_site === 'TGACGTCA' && snpEffect.alt_site === 'TGACATCA' && snpEffect.ref_offset === -4,
+        'SNPs report the best site of each allele');
+    assert(snpEffect.score_delta < 0 && snpEffect.log_p_ratio < 0 &&
+        Math.abs(snpEffect.score_delta - (snpEffect.alt_score - snpEffect.ref_score)) < 1e-12, 'Losing a site gives negative deltas');
+    assert(delEffect.alt_site === 'TTGACTCA' && delEffect.score_delta < -10, 'Deletions score the windows spanning the junction');
+    assert(insEffect.alt_site === 'TGACGTCA' && insEffect.ref_site === 'TTGACTCA' && insEffect.log_p_ratio > 5,
+        'Insertions can create sites');
+    assert(msl.scoreVariants(benchMotifs, [{ sequence: variantContext, position: 9, ref: 'G', alt: 'A' }], { threshold: 1e-3 })
+        .map(row => row.motif_name).join() === 'CREB', 'Rows can be filtered by p-value');
+    try {
+        msl.scoreVariants(benchMotifs, [{ sequence: variantContext, position: 9, ref: 'C', alt: 'A' }]);
+        assert(false, 'Should throw for a mismatched reference allele');
+    } catch (e) {
+        assert(e.message.includes('does not match'), 'Mismatched reference alleles throw');
+    }
+
+    const variantFasta = '>chr1\nAACCTTGACGTCATTGGAACCGGGGAGGGGCTTAA\n';
+    const variantGenome = msl.openIndexedFasta(Buffer.from(variantFasta), msl.indexFasta(variantFasta));
+    const vcf = '##fileformat=VCFv4.2\n#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\n' +
+        'chr1\t10\trs1\tG\tA,<DEL>\t50\tPASS\t.\nchr1\t26\t.\tA\tC\t.\t.\tDP=10\n';
+    const vcfRecords = msl.readVcf(vcf);
+    assert(vcfRecords.length === 2 && vcfRecords[0].pos === 10 && vcfRecords[0].alts.join() === 'A,<DEL>' &&
+        vcfRecords[0].qual === 50 && vcfRecords[1].id === null && vcfRecords[1].info === 'DP=10', 'readVcf parses VCF records');
+    const vcfEffects = await msl.scoreVcfVariants(benchMotifs, vcf, variantGenome, { threshold: 1e-3 });
+    assert(vcfEffects.length === 2 && vcfEffects[0].chrom === 'chr1' && vcfEffects[0].pos === 10 &&
+        vcfEffects[0].variant_id === 'rs1' && vcfEffects[0].score_delta === snpEffect.score_delta,
+        'VCF variants take their context from the genome');
+    assert(vcfEffects[1].variant_id === 'chr1:26:A>C' && vcfEffects[1].motif_name === 'SP1' && vcfEffects[1].score_delta > 0,
+        'VCF variants without an ID are named by their alleles');
+
+    // Test 35: TOMTOM complete scoring and readable matches
+    console.log('Testing TOMTOM scoring modes and match labels...');
+    const scoringQueries = [benchMotifs.CREB];
+    const scoringTargets = [benchMotifs.CREB, fromConsensus('GGGGCTGA'), fromConsensus('CGTCAGGCCTTA'), benchMotifs.SP1];
+    const incompleteScores = msl.tomtom(scoringQueries, scoringTargets, { scoring: 'incomplete' });
+    const completeScores = msl.tomtom(scoringQueries, scoringTargets);
+    assert(completeScores.pValues[0][0] === incompleteScores.pValues[0][0] && completeScores.overlaps[0][0] === 8,
+        'Complete and incomplete scoring agree on full overlaps');
+    assert(completeScores.pValues[0][1] > incompleteScores.pValues[0][1], 'Complete scoring penalizes unaligned query columns');
+    const polyATargets = [...scoringTargets, fromConsensus('AAAAAAAT')];
+    assert(msl.tomtom(scoringQueries, polyATargets, { scoring: 'incomplete' }).overlaps[0][4] === 1 &&
+        msl.tomtom(scoringQueries, polyATargets).overlaps[0][4] > 1,
+        'By default a single-column overlap does not make the best match, as in TOMTOM');
+    ['euclidean', 'pearson', 'sandelin', 'kullback', 'allr'].forEach(metric => {
+        const incomplete = msl.tomtom(scoringQueries, scoringTargets, { metric, scoring: 'incomplete' });
+        const complete = msl.tomtom(scoringQueries, scoringTargets, { metric, scoring: 'complete' });
+        assert(complete.pValues[0].every((pValue, index) => pValue >= incomplete.pValues[0][index]),
+            `Complete ${metric} scoring never rewards unaligned query columns`);
+    });
+    assert(completeScores.strands[0][2] === 0 && completeScores.offsets[0][2] === -3 && completeScores.overlaps[0][2] === 5,
+        'Complete scoring aligns the shared columns');
+    assertArraysEqual(completeScores.orientations[0], completeScores.strands[0].map(strand => strand === 1 ? '-' : '+'),
+        'Orientations label the strands');
+    assert(incompleteScores.queryConsensus[0].every(consensus => consensus === 'TGACGTCA') &&
+        incompleteScores.targetConsensus[0][2] === (incompleteScores.strands[0][2] === 1 ? 'TAAGGCCTGACG' : 'CGTCAGGCCTTA'),
+        'Matches carry the query and aligned target consensus');
+    const overlapResults = msl.tomtom([benchMotifs.SP1], [fromConsensus('TGACGTAA'), fromConsensus('AGATAAGA')], { minOverlap: 5 });
+    assert(overlapResults.overlaps[0].every(overlap => overlap >= 5), 'tomtom minOverlap limits the alignments tried');
+    for (const minOverlap of [0, -1, 2.5]) {
+        try {
+            msl.tomtom(scoringQueries, scoringTargets, { minOverlap });
+            assert(false, `Should throw for minOverlap ${minOverlap}`);
+        } catch (e) {
+            assert(e.message.includes('minOverlap must be an integer >= 1'), `tomtom rejects minOverlap ${minOverlap}`);
+        }
+    }
+    const asyncScores = await msl.tomtomAsync(scoringQueries, scoringTargets, { scoring: 'complete', workers: 0 });
+    assertArraysEqual(asyncScores.targetConsensus, completeScores.targetConsensus, 'tomtomAsync returns the match labels');
+    try {
+        msl.tomtom(scoringQueries, scoringTargets, { scoring: 'partial' });
+        assert(false, 'Should throw for an unknown scoring mode');
+    } catch (e) {
+        assert(e.message.includes('scoring'), 'Unknown scoring modes throw');
+    }
+
     console.log('\n✅ All tests passed!');
 }
 
 // Run tests
-try {
-    runTests();
-} catch (error) {
+runTests().catch(error => {
     console.error('❌ Test failed:', error.message);
     process.exit(1);
-}
\ No newline at end of file
+});
\ No newline at end of file